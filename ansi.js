@@ -0,0 +1,45 @@
+// Helpers for turning raw terminal output into plain text and matching it
+
+// CSI and OSC sequences, DCS/PM/APC strings, charset selection, other
+// two-byte escapes and C0 control characters (except tab, newline and
+// carriage return)
+const ANSI_PATTERN = new RegExp([
+  '\\x1b\\[[0-?]*[ -/]*[@-~]',
+  '\\x1b\\][^\\x07\\x1b]*(?:\\x07|\\x1b\\\\)',
+  '\\x1b[PX^_][^\\x1b]*\\x1b\\\\',
+  '\\x1b[()*+][0-9A-Za-z]',
+  '\\x1b[@-Z\\\\-_=>78]',
+  '[\\x00-\\x08\\x0b\\x0c\\x0e-\\x1f\\x7f]'
+].join('|'), 'g');
+
+function stripAnsi(text) {
+  return String(text).replace(ANSI_PATTERN, '');
+}
+
+// Split plain text into the lines a terminal would show. A carriage return
+// moves back to the start of the line, so only the text after the last one
+// is kept (progress bars, spinners, prompts that redraw themselves).
+function toLines(text) {
+  return text.split('\n').map(line => {
+    const trimmed = line.replace(/\r+$/, '');
+    return trimmed.slice(trimmed.lastIndexOf('\r') + 1);
+  });
+}
+
+// Compile a pattern that is matched against lines of output (prompt rules,
+// triggers): case-insensitive unless flags are given. The g and y flags are
+// refused because they make test() and exec() start from lastIndex and skip
+// matches. Throws with a message fit for a 400.
+function compileLinePattern(pattern, flags = 'i') {
+  const regexFlags = String(flags);
+  if (/[gy]/.test(regexFlags)) {
+    throw new Error('Flags g and y are not supported');
+  }
+  return new RegExp(pattern, regexFlags);
+}
+
+module.exports = {
+  stripAnsi,
+  toLines,
+  compileLinePattern
+};
@@ -0,0 +1,179 @@
+// Asciinema v2 recordings (asciicast) for shellstream sessions
+// Format: https://docs.asciinema.org/manual/asciicast/v2/
+//
+// A cast is a JSON header line followed by one JSON event per line:
+//   [seconds since start, "o" | "i" | "r" | "m", data]
+
+const fs = require('fs');
+
+const CAST_VERSION = 2;
+
+function createHeader({ cols, rows, timestamp, title, command }) {
+  const header = {
+    version: CAST_VERSION,
+    width: cols || 80,
+    height: rows || 24,
+    timestamp: Math.floor((timestamp || Date.now()) / 1000),
+    env: { TERM: 'xterm-256color' }
+  };
+  if (title) header.title = title;
+  if (command) header.command = command;
+  return header;
+}
+
+function formatEvent(seconds, code, data) {
+  return JSON.stringify([Number(Math.max(0, seconds).toFixed(6)), code, data]);
+}
+
+// Convert stored history entries (output/input/resize) into cast text
+function historyToCast(session, entries, options = {}) {
+  const firstResize = entries.find(entry => entry.type === 'resize');
+  const start = entries.length > 0 ? entries[0].timestamp : (session.connectedAt || Date.now());
+
+  const header = createHeader({
+    cols: firstResize ? firstResize.cols : session.cols,
+    rows: firstResize ? firstResize.rows : session.rows,
+    timestamp: start,
+    title: session.projectName,
+    command: session.command ? [session.command, ...(session.args || [])].join(' ') : undefined
+  });
+
+  const lines = [JSON.stringify(header)];
+  entries.forEach(entry => {
+    const seconds = ((entry.timestamp || start) - start) / 1000;
+
+    if (entry.type === 'resize') {
+      // The first resize is the initial size carried by the header
+      if (entry !== firstResize) {
+        lines.push(formatEvent(seconds, 'r', `${entry.cols}x${entry.rows}`));
+      }
+    } else if (entry.type === 'input') {
+      if (options.includeInput) {
+        lines.push(formatEvent(seconds, 'i', entry.data));
+      }
+    } else if (entry.data) {
+      lines.push(formatEvent(seconds, 'o', entry.data));
+    }
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+// Parse cast text, throwing on anything that is not a valid v2 recording
+function parseCast(text) {
+  const lines = String(text).split('\n').filter(line => line.trim());
+  if (lines.length === 0) {
+    throw new Error('Empty recording');
+  }
+
+  let header;
+  try {
+    header = JSON.parse(lines[0]);
+  } catch {
+    throw new Error('Header is not valid JSON');
+  }
+  if (!header || header.version !== CAST_VERSION) {
+    throw new Error(`Unsupported asciicast version: ${header && header.version}`);
+  }
+  if (!Number.isInteger(header.width) || !Number.isInteger(header.height)) {
+    throw new Error('Header is missing terminal width/height');
+  }
+
+  const events = lines.slice(1).map((line, index) => {
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch {
+      throw new Error(`Event on line ${index + 2} is not valid JSON`);
+    }
+    if (!Array.isArray(event) || typeof event[0] !== 'number' ||
+        typeof event[1] !== 'string' || typeof event[2] !== 'string') {
+      throw new Error(`Malformed event on line ${index + 2}`);
+    }
+    return event;
+  });
+
+  return { header, events };
+}
+
+// Convert a parsed cast into history entries with absolute timestamps
+function castToHistory(cast) {
+  const start = cast.header.timestamp ? cast.header.timestamp * 1000 : Date.now();
+  const entries = [{
+    type: 'resize',
+    cols: cast.header.width,
+    rows: cast.header.height,
+    timestamp: start
+  }];
+
+  cast.events.forEach(([seconds, code, data]) => {
+    const timestamp = start + Math.round(seconds * 1000);
+    switch (code) {
+      case 'o':
+        entries.push({ type: 'output', data, timestamp });
+        break;
+      case 'i':
+        entries.push({ type: 'input', data, source: 'recording', timestamp });
+        break;
+      case 'r': {
+        const match = data.match(/^(\d+)x(\d+)$/);
+        if (match) {
+          entries.push({ type: 'resize', cols: Number(match[1]), rows: Number(match[2]), timestamp });
+        }
+        break;
+      }
+      // Markers ("m") and unknown event types are ignored
+    }
+  });
+
+  return entries;
+}
+
+// Writes a live session to a .cast file. Writes are synchronous so the
+// recording is complete even when the wrapper exits straight after.
+class CastRecorder {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.start = Date.now();
+    this.fd = fs.openSync(filePath, 'w');
+    this.write(JSON.stringify(createHeader({ ...options, timestamp: this.start })));
+  }
+
+  write(line) {
+    if (this.fd === null) return;
+    try {
+      fs.writeSync(this.fd, line + '\n');
+    } catch (err) {
+      console.error(`[Shellstream] Recording error (${this.filePath}):`, err.message);
+      this.close();
+    }
+  }
+
+  elapsed() {
+    return (Date.now() - this.start) / 1000;
+  }
+
+  writeOutput(data) {
+    this.write(formatEvent(this.elapsed(), 'o', data));
+  }
+
+  writeResize(cols, rows) {
+    this.write(formatEvent(this.elapsed(), 'r', `${cols}x${rows}`));
+  }
+
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+module.exports = {
+  CAST_VERSION,
+  createHeader,
+  historyToCast,
+  parseCast,
+  castToHistory,
+  CastRecorder
+};
@@ -0,0 +1,153 @@
+// Append-only audit log of remote input and commands
+//
+// One JSON object per line in <dataDir>/audit.log, recording who sent what
+// to which session: the client's role, share link, connection id, address
+// and the name it gave when asking for the keyboard. Keystrokes from a web
+// terminal arrive one at a time, so they are collected per client and session
+// into one entry per line typed (written on Enter or after a pause). When the
+// log grows past maxBytes it is moved to audit.log.1, replacing the previous
+// one, and a new log is started.
+
+const fs = require('fs');
+const path = require('path');
+
+const INPUT_FLUSH_DELAY = 2000;
+const MAX_INPUT_CHARS = 4096;
+const MAX_READ_BYTES = 16 * 1024 * 1024; // Only the tail of a huge log is read
+
+class AuditLog {
+  constructor({ dataDir, maxBytes = 0 }) {
+    this.path = path.join(dataDir, 'audit.log');
+    this.maxBytes = maxBytes;
+    fs.mkdirSync(dataDir, { recursive: true, mode: 0o700 });
+
+    this.openStream();
+    this.pendingInput = new Map(); // `${clientId}:${sessionId}` -> { entry, timer }
+  }
+
+  openStream() {
+    try {
+      this.size = fs.statSync(this.path).size;
+    } catch {
+      this.size = 0;
+    }
+    this.stream = fs.createWriteStream(this.path, { flags: 'a', mode: 0o600 });
+    this.stream.on('error', err => {
+      console.error('[Audit] Write error:', err.message);
+    });
+  }
+
+  write(entry) {
+    const line = JSON.stringify(entry) + '\n';
+    this.stream.write(line);
+    this.size += Buffer.byteLength(line);
+    if (this.maxBytes > 0 && this.size >= this.maxBytes) {
+      this.rotate();
+    }
+  }
+
+  // Lines already handed to the old stream are still written to the renamed
+  // file: the stream keeps its file descriptor
+  rotate() {
+    try {
+      fs.renameSync(this.path, `${this.path}.1`);
+    } catch (err) {
+      console.error('[Audit] Could not rotate the log:', err.message);
+      return;
+    }
+    this.stream.end();
+    this.openStream();
+  }
+
+  record(entry) {
+    // Keep the log in order: what the client typed before this comes first
+    if (entry.actor && entry.actor.clientId) {
+      this.flushInput(`${entry.actor.clientId}:${entry.sessionId}`);
+    }
+    this.write({ timestamp: Date.now(), ...entry });
+  }
+
+  // Keystrokes are appended to the client's open entry for the session
+  recordInput(entry) {
+    const key = `${entry.actor.clientId}:${entry.sessionId}`;
+    let pending = this.pendingInput.get(key);
+    if (!pending) {
+      pending = { entry: { timestamp: Date.now(), ...entry, type: 'input', data: '' }, timer: null };
+      this.pendingInput.set(key, pending);
+    }
+
+    pending.entry.data += entry.data;
+    clearTimeout(pending.timer);
+    if (/[\r\n]/.test(entry.data) || pending.entry.data.length >= MAX_INPUT_CHARS) {
+      this.flushInput(key);
+    } else {
+      pending.timer = setTimeout(() => this.flushInput(key), INPUT_FLUSH_DELAY);
+    }
+  }
+
+  flushInput(key) {
+    const pending = this.pendingInput.get(key);
+    if (!pending) return;
+
+    clearTimeout(pending.timer);
+    this.pendingInput.delete(key);
+    this.write(pending.entry);
+  }
+
+  // Newest entries first, reading on into the rotated log if needed.
+  // Filters: sessionId, type, since/until (ms), limit.
+  async query({ sessionId, type, since = 0, until = Infinity, limit = 200 } = {}) {
+    const entries = [];
+    for (const file of [this.path, `${this.path}.1`]) {
+      const lines = (await readTail(file)).split('\n');
+      for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+        if (!lines[i]) continue;
+
+        let entry;
+        try {
+          entry = JSON.parse(lines[i]);
+        } catch {
+          continue; // A line cut short by a crash
+        }
+        if (sessionId && entry.sessionId !== sessionId) continue;
+        if (type && entry.type !== type) continue;
+        if (entry.timestamp < since || entry.timestamp > until) continue;
+        entries.push(entry);
+      }
+      if (entries.length >= limit) break;
+    }
+    return entries;
+  }
+
+  close() {
+    Array.from(this.pendingInput.keys()).forEach(key => this.flushInput(key));
+    this.stream.end();
+  }
+}
+
+// The last MAX_READ_BYTES of a log file, starting at a whole line
+async function readTail(file) {
+  let handle;
+  try {
+    handle = await fs.promises.open(file, 'r');
+  } catch (err) {
+    if (err.code === 'ENOENT') return '';
+    throw err;
+  }
+
+  try {
+    const { size } = await handle.stat();
+    const start = Math.max(0, size - MAX_READ_BYTES);
+    const buffer = Buffer.alloc(size - start);
+    await handle.read(buffer, 0, buffer.length, start);
+    const text = buffer.toString('utf8');
+    // Drop the partial first line
+    return start > 0 ? text.slice(text.indexOf('\n') + 1) : text;
+  } finally {
+    await handle.close();
+  }
+}
+
+module.exports = {
+  AuditLog
+};
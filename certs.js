@@ -0,0 +1,217 @@
+// TLS certificates for the server, and certificate trust for its clients
+//
+// The server uses the configured cert/key, or generates a self-signed pair in
+// <config dir>/tls on first run. Clients (wrappers and relays) verify wss://
+// servers against the system CAs; a certificate that fails that check (e.g.
+// self-signed) is trusted on first use and pinned in known_hosts.json, so a
+// later change is refused instead of silently accepted. The access token is
+// only ever sent over a connection whose certificate has been verified.
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const tls = require('tls');
+const net = require('net');
+const crypto = require('crypto');
+const { getConfigDir } = require('./config');
+
+// Server side
+
+function getTlsDir() {
+  return path.join(getConfigDir(), 'tls');
+}
+
+// Resolves with { cert, key, fingerprint, generated } for the server
+async function loadServerCertificate(tlsConfig) {
+  if (tlsConfig.cert || tlsConfig.key) {
+    if (!tlsConfig.cert || !tlsConfig.key) {
+      throw new Error('server.tls needs both cert and key');
+    }
+    const cert = fs.readFileSync(tlsConfig.cert, 'utf8');
+    const key = fs.readFileSync(tlsConfig.key, 'utf8');
+    return { cert, key, fingerprint: fingerprintOf(cert), generated: false };
+  }
+
+  const certPath = path.join(getTlsDir(), 'cert.pem');
+  const keyPath = path.join(getTlsDir(), 'key.pem');
+  if (fs.existsSync(certPath) && fs.existsSync(keyPath)) {
+    const cert = fs.readFileSync(certPath, 'utf8');
+    return { cert, key: fs.readFileSync(keyPath, 'utf8'), fingerprint: fingerprintOf(cert), generated: false };
+  }
+
+  const pems = await generateSelfSigned();
+  fs.mkdirSync(getTlsDir(), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(keyPath, pems.private, { mode: 0o600 });
+  fs.writeFileSync(certPath, pems.cert, { mode: 0o644 });
+  return { cert: pems.cert, key: pems.private, fingerprint: fingerprintOf(pems.cert), generated: true };
+}
+
+async function generateSelfSigned() {
+  const selfsigned = require('selfsigned');
+  const hostname = os.hostname();
+  const notAfter = new Date();
+  notAfter.setFullYear(notAfter.getFullYear() + 5);
+
+  return selfsigned.generate([{ name: 'commonName', value: hostname }], {
+    keySize: 2048,
+    algorithm: 'sha256',
+    notAfterDate: notAfter,
+    extensions: [
+      { name: 'basicConstraints', cA: false },
+      { name: 'keyUsage', digitalSignature: true, keyEncipherment: true },
+      { name: 'extKeyUsage', serverAuth: true },
+      {
+        name: 'subjectAltName',
+        altNames: [
+          { type: 2, value: hostname },
+          { type: 2, value: 'localhost' },
+          { type: 7, ip: '127.0.0.1' },
+          { type: 7, ip: '::1' }
+        ]
+      }
+    ]
+  });
+}
+
+// SHA-256 fingerprint of a PEM certificate, in the AB:CD:... form
+function fingerprintOf(pem) {
+  return new crypto.X509Certificate(pem).fingerprint256;
+}
+
+// Client side
+
+function getKnownHostsPath() {
+  return path.join(getConfigDir(), 'known_hosts.json');
+}
+
+function loadKnownHosts() {
+  try {
+    return JSON.parse(fs.readFileSync(getKnownHostsPath(), 'utf8'));
+  } catch (err) {
+    return {};
+  }
+}
+
+function saveKnownHost(hostKey, entry) {
+  const hosts = loadKnownHosts();
+  hosts[hostKey] = entry;
+  fs.mkdirSync(getConfigDir(), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(getKnownHostsPath(), JSON.stringify(hosts, null, 2) + '\n', { mode: 0o600 });
+}
+
+// Accepts fingerprints with or without colons, in any case
+function normalizeFingerprint(value) {
+  const hex = String(value).replace(/[^0-9a-f]/gi, '').toUpperCase();
+  return (hex.match(/.{2}/g) || []).join(':');
+}
+
+class CertificateError extends Error {}
+
+// WebSocket options for connecting to `url`. Plain ws:// needs none; wss://
+// servers with a publicly trusted certificate use normal verification; others
+// are pinned to the certificate seen on first use (or to `fingerprint`, when
+// given). Rejects with a CertificateError when the certificate doesn't match.
+async function resolveTlsOptions(url, { fingerprint, log = console.error } = {}) {
+  const address = new URL(url);
+  if (address.protocol !== 'wss:') return {};
+
+  const host = address.hostname.replace(/^\[|\]$/g, '');
+  const port = Number(address.port) || 443;
+  const hostKey = `${host}:${port}`;
+  const expected = fingerprint ? normalizeFingerprint(fingerprint) : null;
+  const known = loadKnownHosts()[hostKey];
+
+  if (known && (!expected || known.fingerprint === expected)) {
+    return pinnedOptions(known);
+  }
+
+  // Look at the certificate without sending anything over the connection
+  const seen = await fetchCertificate(host, port);
+
+  if (expected) {
+    if (seen.fingerprint !== expected) {
+      throw new CertificateError(`Certificate of ${hostKey} (${seen.fingerprint}) does not match the expected fingerprint ${expected}`);
+    }
+  } else if (seen.authorized) {
+    return {};
+  } else {
+    log(`[Shellstream] Trusting certificate of ${hostKey} on first use`);
+    log(`[Shellstream] Fingerprint: ${seen.fingerprint}`);
+  }
+
+  const entry = { fingerprint: seen.fingerprint, cert: seen.pem, addedAt: new Date().toISOString() };
+  saveKnownHost(hostKey, entry);
+  return pinnedOptions(entry);
+}
+
+// Only the pinned certificate is accepted, whatever name it was issued for
+function pinnedOptions(known) {
+  return {
+    ca: [known.cert, ...tls.rootCertificates],
+    checkServerIdentity: (hostname, cert) => {
+      if (cert.fingerprint256 !== known.fingerprint) {
+        return new CertificateError(`Certificate fingerprint ${cert.fingerprint256} does not match the pinned ${known.fingerprint}`);
+      }
+      return undefined;
+    }
+  };
+}
+
+function fetchCertificate(host, port) {
+  return new Promise((resolve, reject) => {
+    const socket = tls.connect({
+      host,
+      port,
+      servername: net.isIP(host) ? undefined : host,
+      rejectUnauthorized: false,
+      timeout: 10000
+    });
+
+    socket.once('secureConnect', () => {
+      const cert = socket.getPeerCertificate();
+      const authorized = socket.authorized && !tls.checkServerIdentity(host, cert);
+      socket.end();
+      if (!cert || !cert.raw) {
+        reject(new CertificateError(`${host}:${port} sent no certificate`));
+        return;
+      }
+      resolve({
+        pem: `-----BEGIN CERTIFICATE-----\n${cert.raw.toString('base64').match(/.{1,64}/g).join('\n')}\n-----END CERTIFICATE-----\n`,
+        fingerprint: cert.fingerprint256,
+        authorized
+      });
+    });
+    socket.once('timeout', () => {
+      socket.destroy();
+      reject(new Error(`Timed out connecting to ${host}:${port}`));
+    });
+    socket.once('error', reject);
+  });
+}
+
+// Explain certificate failures of a pinned connection
+function describeTlsError(err, url) {
+  const certificateCodes = [
+    'DEPTH_ZERO_SELF_SIGNED_CERT',
+    'SELF_SIGNED_CERT_IN_CHAIN',
+    'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+    'UNABLE_TO_GET_ISSUER_CERT_LOCALLY',
+    'CERT_SIGNATURE_FAILURE'
+  ];
+  if (!(err instanceof CertificateError) && !certificateCodes.includes(err.code)) {
+    return null;
+  }
+  return `Certificate of ${url} does not match the one trusted before (${err.message}). ` +
+    `Refusing to send the access token. If the server's certificate was replaced on purpose, ` +
+    `remove its entry from ${getKnownHostsPath()}.`;
+}
+
+module.exports = {
+  CertificateError,
+  loadServerCertificate,
+  fingerprintOf,
+  resolveTlsOptions,
+  describeTlsError,
+  normalizeFingerprint,
+  getKnownHostsPath
+};
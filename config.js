@@ -0,0 +1,176 @@
+// Shared configuration for the shellstream wrapper and server
+//
+// Settings live in ~/.shellstream/config.json (override the directory with
+// SHELLSTREAM_HOME). Both processes read the same file, which is how an
+// auto-started server and its wrappers agree on the access token.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_CONFIG = {
+  server: {
+    host: '0.0.0.0',
+    corsOrigins: [],     // Extra origins allowed to call the API from a browser
+    backpressureKB: 1024, // A browser this far behind gets a fresh snapshot instead of every chunk
+    tls: {
+      enabled: false,    // Serve HTTPS/WSS; without cert and key a self-signed pair is generated
+      cert: null,        // Path to a PEM certificate (chain)
+      key: null          // Path to its PEM private key
+    }
+  },
+  auth: {
+    enabled: true,
+    token: null          // Generated on first run
+  },
+  sharing: {
+    defaultExpiryHours: 24,  // Lifetime of share links unless chosen otherwise
+    maxExpiryHours: 168
+  },
+  wrapper: {
+    allowRemoteInput: true,  // Accept keystrokes from the web UI
+    spoolMB: 8,              // Output kept for resending after a reconnect
+    maxReconnectDelaySeconds: 30,
+    tlsFingerprint: null     // Expected SHA-256 fingerprint of the server's certificate
+  },
+  relay: {
+    upstream: null,          // Hub to forward sessions to, e.g. "wss://hub.example.com:47832"
+    token: null,             // The hub's access token
+    tlsFingerprint: null,    // Expected SHA-256 fingerprint of the hub's certificate
+    hubRole: 'controller',   // What the hub may do here: viewer, controller (type) or owner (also kill)
+    maxReconnectDelaySeconds: 30
+  },
+  prompts: {
+    enabled: true,           // Notify the web UI when a program waits for input
+    useDefaults: true,       // Built-in rules: [y/N], Password:, "Do you want to proceed?", ...
+    patterns: [],            // Extra rules: regex strings or { name, pattern, flags }
+    idleSeconds: 0           // Also treat this many seconds without output as a prompt (0 = off)
+  },
+  // Quick-command macros for the web UI, added to (and overriding) the
+  // built-in approve/reject/interrupt/eof/clear; see macros.js for the format
+  macros: {},
+  // Output triggers for every session: { name, pattern, flags, cooldownSeconds,
+  // actions: [{ type: 'webhook' | 'notify' | 'tag' | 'macro', ... }] }
+  triggers: [],
+  audit: {
+    enabled: true,       // Log remote input and commands to <dataDir>/audit.log
+    maxSizeMB: 10        // Then move it to audit.log.1 and start again (0 = never)
+  },
+  history: {
+    backend: 'file',     // 'file' (persistent) or 'memory'
+    dataDir: null,       // Defaults to <config dir>/data
+    maxEntries: 10000,   // Entries kept/returned per session
+    maxAgeDays: 7,       // Sessions idle for longer are deleted
+    maxTotalMB: 500,     // Oldest sessions are deleted beyond this size
+    archiveAfterHours: 24  // Ended or disconnected sessions leave the list after this long (0 = never)
+  },
+  files: {
+    // The file browser shows the project directories of this machine's
+    // sessions, plus these directories
+    allowedPaths: [],
+    // File and directory names it never lists or reads (* and ? wildcards)
+    deny: [
+      '.env', '.env.*', '.ssh', '.gnupg', '.aws', '.shellstream',
+      '*.pem', '*.key', '*.p12', '*.pfx', '*.kdbx',
+      'id_rsa*', 'id_dsa*', 'id_ecdsa*', 'id_ed25519*',
+      '.netrc', '.npmrc', '.pgpass', '.git-credentials'
+    ]
+  },
+  launch: {
+    // Starting sessions from the web UI is disabled until both lists are set.
+    // A command entry is a program name ("npm", any arguments) or a full
+    // command line ("npm test", exact match). Directories include subdirectories.
+    commands: [],
+    directories: [],
+    env: []              // Environment variable names the web UI may set
+  }
+};
+
+function getConfigDir() {
+  return process.env.SHELLSTREAM_HOME || path.join(os.homedir(), '.shellstream');
+}
+
+function getConfigPath() {
+  return path.join(getConfigDir(), 'config.json');
+}
+
+function isTlsEnabled(config = loadConfig()) {
+  return Boolean(config.server.tls.enabled || config.server.tls.cert);
+}
+
+function getDataDir(config = loadConfig()) {
+  return config.history.dataDir || path.join(getConfigDir(), 'data');
+}
+
+function readConfigFile() {
+  try {
+    return JSON.parse(fs.readFileSync(getConfigPath(), 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error(`[Config] Could not read ${getConfigPath()}: ${err.message}`);
+    }
+    return {};
+  }
+}
+
+function writeConfigFile(config) {
+  fs.mkdirSync(getConfigDir(), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(getConfigPath(), JSON.stringify(config, null, 2) + '\n', { mode: 0o600 });
+}
+
+// Deep merge plain objects; arrays and scalars from `override` replace defaults
+function mergeConfig(defaults, override) {
+  const result = { ...defaults };
+  for (const [key, value] of Object.entries(override || {})) {
+    if (value && typeof value === 'object' && !Array.isArray(value) &&
+        defaults[key] && typeof defaults[key] === 'object' && !Array.isArray(defaults[key])) {
+      result[key] = mergeConfig(defaults[key], value);
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+function loadConfig() {
+  return mergeConfig(DEFAULT_CONFIG, readConfigFile());
+}
+
+// Apply a change to the config file without writing defaults back into it
+function updateConfig(mutate) {
+  const config = readConfigFile();
+  mutate(config);
+  writeConfigFile(config);
+  return mergeConfig(DEFAULT_CONFIG, config);
+}
+
+// Return the server secret, generating and storing one on first use
+function ensureAuthToken() {
+  if (process.env.SHELLSTREAM_TOKEN) {
+    return process.env.SHELLSTREAM_TOKEN;
+  }
+
+  const config = loadConfig();
+  if (config.auth.token) {
+    return config.auth.token;
+  }
+
+  const token = crypto.randomBytes(24).toString('hex');
+  updateConfig(raw => {
+    raw.auth = { ...raw.auth, token };
+  });
+  return token;
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  getConfigDir,
+  getConfigPath,
+  getDataDir,
+  isTlsEnabled,
+  loadConfig,
+  updateConfig,
+  mergeConfig,
+  ensureAuthToken
+};
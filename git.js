@@ -0,0 +1,380 @@
+// Git operations behind the file browser's git panel
+//
+// git always runs through execFile with an argument list, never through a
+// shell, and file names come after "--", so nothing in a name or a commit
+// message can turn into a command or an option. Pathspecs are taken
+// literally (GIT_LITERAL_PATHSPECS), so a name like "*.env" is only that
+// file. Callers check that the directory and files are ones the client may
+// see (FileBrowser.resolvePath).
+
+const { execFile } = require('child_process');
+const path = require('path');
+
+const MAX_OUTPUT = 10 * 1024 * 1024;
+const GIT_TIMEOUT = 60000;         // Commit hooks can take a while
+const FIELD = '\x1f';
+const RECORD = '\x1e';
+const DIFF_OPTIONS = ['--no-color', '--no-ext-diff'];
+
+// A git command failed; `status` is the HTTP status to answer with
+class GitError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'GitError';
+    this.status = status;
+  }
+}
+
+// Resolves with stdout; rejects with a GitError carrying git's own message.
+// `pathspecMagic` allows :(exclude) and the like; client-supplied paths must
+// then be passed through literalPath().
+function runGit(cwd, args, { input, pathspecMagic = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = execFile('git', args, {
+      cwd,
+      maxBuffer: MAX_OUTPUT,
+      timeout: GIT_TIMEOUT,
+      // Reading status must not take index.lock from under the user's own
+      // git commands, and nothing may wait for a password prompt
+      env: {
+        ...process.env,
+        GIT_OPTIONAL_LOCKS: '0',
+        GIT_TERMINAL_PROMPT: '0',
+        GIT_LITERAL_PATHSPECS: pathspecMagic ? '0' : '1'
+      }
+    }, (err, stdout, stderr) => {
+      if (!err) return resolve(stdout);
+      if (err.code === 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER') {
+        return reject(new GitError('Output too large', 413));
+      }
+      if (err.code === 'ENOENT') {
+        return reject(new GitError('git is not available', 500));
+      }
+      const message = String(stderr || err.message).trim();
+      if (/not a git repository/i.test(message)) {
+        return reject(new GitError('Not a git repository'));
+      }
+      reject(new GitError(message.split('\n').filter(line => !line.startsWith('hint:')).join('\n') || 'git failed'));
+    });
+    // git may exit without reading its input (a bad hunk, a failing hook)
+    child.stdin.on('error', () => {});
+    child.stdin.end(input);
+  });
+}
+
+function literalPath(file) {
+  return `:(literal)${file}`;
+}
+
+// Leaves out paths with a files.deny name (file or directory) at any depth
+function excludePathspecs(deny = []) {
+  return deny.flatMap(pattern => [`:(top,exclude,glob)**/${pattern}`, `:(top,exclude,glob)**/${pattern}/**`]);
+}
+
+function parseRecords(stdout, fields) {
+  return stdout.split(RECORD)
+    .map(record => record.replace(/^\n/, ''))
+    .filter(Boolean)
+    .map(record => {
+      const values = record.split(FIELD);
+      return Object.fromEntries(fields.map((field, index) => [field, values[index] || '']));
+    });
+}
+
+function isCommitHash(hash) {
+  return typeof hash === 'string' && /^[0-9a-f]{4,40}$/i.test(hash);
+}
+
+async function hasCommits(cwd) {
+  try {
+    await runGit(cwd, ['rev-parse', '--verify', '--quiet', 'HEAD']);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Index (X) and work tree (Y) letters of `git status --porcelain=v2`
+const CHANGE_STATES = {
+  M: 'modified',
+  T: 'typechange',
+  A: 'added',
+  D: 'deleted',
+  R: 'renamed',
+  C: 'copied'
+};
+
+// XY of unmerged entries
+const CONFLICTS = {
+  DD: 'both deleted',
+  AU: 'added by us',
+  UD: 'deleted by them',
+  UA: 'added by them',
+  DU: 'deleted by us',
+  AA: 'both added',
+  UU: 'both modified'
+};
+
+function parseBranchHeader(header, branch) {
+  const [key, ...rest] = header.split(' ');
+  const value = rest.join(' ');
+  switch (key) {
+    case 'branch.oid':
+      branch.oid = value === '(initial)' ? null : value;
+      break;
+    case 'branch.head':
+      branch.detached = value === '(detached)';
+      branch.head = branch.detached ? null : value;
+      break;
+    case 'branch.upstream':
+      branch.upstream = value;
+      break;
+    case 'branch.ab': {
+      const [ahead, behind] = value.split(' ');
+      branch.ahead = Math.abs(Number(ahead));
+      branch.behind = Math.abs(Number(behind));
+      break;
+    }
+  }
+}
+
+// "N..." for plain files; "S<c><m><u>" for a submodule whose commit changed,
+// which has tracked changes, and which has untracked files
+function parseSubmodule(field) {
+  if (!field.startsWith('S')) return null;
+  return {
+    commitChanged: field[1] === 'C',
+    modified: field[2] === 'M',
+    untracked: field[3] === 'U'
+  };
+}
+
+function toChange(file, { staged = null, unstaged = null, conflict = null, untracked = false, origPath = null, similarity = null, submodule = null }) {
+  // One word for older clients, which show a single badge per file
+  const status = conflict ? 'conflicted' : untracked ? 'untracked' : staged || unstaged;
+  return { file, status, staged, unstaged, conflict, untracked, origPath, similarity, submodule };
+}
+
+// Parses `git status --porcelain=v2 -z --branch`: the branch headers and one
+// entry per changed file, with the staged and unstaged state apart. Paths
+// are relative to the top of the repository.
+function parseStatus(stdout) {
+  const branch = { oid: null, head: null, detached: false, upstream: null, ahead: 0, behind: 0 };
+  const files = [];
+  const entries = stdout.split('\0');
+
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    if (!entry) continue;
+    if (entry.startsWith('# ')) {
+      parseBranchHeader(entry.slice(2), branch);
+      continue;
+    }
+
+    const fields = entry.split(' ');
+    const xy = fields[1];
+    switch (entry[0]) {
+      case '1':
+        // 1 XY sub mH mI mW hH hI path
+        files.push(toChange(fields.slice(8).join(' '), {
+          staged: CHANGE_STATES[xy[0]] || null,
+          unstaged: CHANGE_STATES[xy[1]] || null,
+          submodule: parseSubmodule(fields[2])
+        }));
+        break;
+      case '2':
+        // 2 XY sub mH mI mW hH hI Xscore path, then the original path
+        files.push(toChange(fields.slice(9).join(' '), {
+          staged: CHANGE_STATES[xy[0]] || null,
+          unstaged: CHANGE_STATES[xy[1]] || null,
+          submodule: parseSubmodule(fields[2]),
+          origPath: entries[++i],
+          similarity: Number(fields[8].slice(1))
+        }));
+        break;
+      case 'u':
+        // u XY sub m1 m2 m3 mW h1 h2 h3 path
+        files.push(toChange(fields.slice(10).join(' '), {
+          conflict: CONFLICTS[xy] || 'unmerged',
+          submodule: parseSubmodule(fields[2])
+        }));
+        break;
+      case '?':
+        files.push(toChange(entry.slice(2), { untracked: true }));
+        break;
+    }
+  }
+  return { branch, files };
+}
+
+// Status of `cwd` and below, which may be below the top of the repository,
+// with paths relative to it so they can go straight back into the other
+// routes. Files named in `deny` are not listed.
+async function getStatus(cwd, { deny = [] } = {}) {
+  const [stdout, prefix] = await Promise.all([
+    runGit(cwd, ['status', '--porcelain=v2', '-z', '--branch', '--', '.', ...excludePathspecs(deny)], {
+      pathspecMagic: true
+    }),
+    runGit(cwd, ['rev-parse', '--show-prefix'])
+  ]);
+  const status = parseStatus(stdout);
+
+  const base = prefix.trim();
+  if (base) {
+    // An untracked `cwd` is listed as a whole, as itself
+    const relative = (file) => (path.posix.relative(base, file) || '.') + (file.endsWith('/') ? '/' : '');
+    status.files.forEach(change => {
+      change.file = relative(change.file);
+      if (change.origPath) {
+        change.origPath = relative(change.origPath);
+      }
+    });
+  }
+  return status;
+}
+
+const LOG_FORMAT = ['%H', '%h', '%an', '%ae', '%aI', '%D', '%s'].join('%x1f') + '%x1e';
+const LOG_FIELDS = ['hash', 'shortHash', 'author', 'email', 'date', 'refs', 'subject'];
+
+function toCommit(record) {
+  return { ...record, refs: record.refs ? record.refs.split(', ') : [] };
+}
+
+// Commits that only touch `deny` names are left out
+async function getLog(cwd, { limit = 50, skip = 0, deny = [] } = {}) {
+  if (!(await hasCommits(cwd))) return [];
+  const stdout = await runGit(cwd, ['log', `--format=${LOG_FORMAT}`, `--max-count=${limit}`, `--skip=${skip}`,
+    '--', ...excludePathspecs(deny)], { pathspecMagic: true });
+  return parseRecords(stdout, LOG_FIELDS).map(toCommit);
+}
+
+// One commit with its message and diff, without the files named in `deny`
+async function getCommit(cwd, hash, { deny = [] } = {}) {
+  if (!isCommitHash(hash)) {
+    throw new GitError('Invalid commit hash');
+  }
+  const format = LOG_FORMAT.replace('%s%x1e', '%B%x1e');
+  const stdout = await runGit(cwd, ['show', ...DIFF_OPTIONS, `--format=${format}`, hash, '--', ...excludePathspecs(deny)], {
+    pathspecMagic: true
+  });
+  const end = stdout.indexOf(RECORD);
+  const [record] = parseRecords(stdout.slice(0, end + 1), LOG_FIELDS.slice(0, -1).concat('message'));
+  return {
+    ...toCommit(record),
+    message: record.message.trim(),
+    diff: stdout.slice(end + 1).replace(/^\n+/, '')
+  };
+}
+
+// The current branch with its upstream and ahead/behind counts, and the
+// names of all local branches
+async function getBranchInfo(cwd) {
+  const stdout = await runGit(cwd, ['for-each-ref',
+    '--format=%(HEAD)%1f%(refname:short)%1f%(upstream:short)%1f%(upstream:track,nobracket)', 'refs/heads']);
+  const branches = stdout.split('\n').filter(Boolean).map(line => {
+    const [head, name, upstream, track] = line.split(FIELD);
+    return {
+      name,
+      current: head === '*',
+      upstream: upstream || null,
+      ahead: Number((/ahead (\d+)/.exec(track) || [])[1] || 0),
+      behind: Number((/behind (\d+)/.exec(track) || [])[1] || 0),
+      upstreamGone: track === 'gone'
+    };
+  });
+
+  const current = branches.find(branch => branch.current);
+  const info = {
+    branch: current ? current.name : null,
+    detached: false,
+    head: null,
+    upstream: current ? current.upstream : null,
+    ahead: current ? current.ahead : 0,
+    behind: current ? current.behind : 0,
+    upstreamGone: current ? current.upstreamGone : false,
+    branches: branches.map(branch => branch.name)
+  };
+
+  if (await hasCommits(cwd)) {
+    info.head = (await runGit(cwd, ['rev-parse', '--short', 'HEAD'])).trim();
+    info.detached = !current;
+  } else {
+    // A new repository: HEAD names a branch that has no commits yet
+    info.branch = (await runGit(cwd, ['symbolic-ref', '--short', 'HEAD']).catch(() => '')).trim() || null;
+  }
+  return info;
+}
+
+async function getStashes(cwd) {
+  const stdout = await runGit(cwd, ['stash', 'list', '--format=%gd%x1f%H%x1f%aI%x1f%gs%x1e']);
+  return parseRecords(stdout, ['ref', 'hash', 'date', 'message']);
+}
+
+// Files named in `deny` are never staged, even inside a directory given
+async function stageFiles(cwd, files, { deny = [] } = {}) {
+  await runGit(cwd, ['add', '--all', '--', ...files.map(literalPath), ...excludePathspecs(deny)], {
+    pathspecMagic: true
+  });
+}
+
+async function unstageFiles(cwd, files) {
+  if (await hasCommits(cwd)) {
+    await runGit(cwd, ['reset', '--quiet', 'HEAD', '--', ...files]);
+  } else {
+    await runGit(cwd, ['rm', '--cached', '--quiet', '-r', '--', ...files]);
+  }
+}
+
+// Splits one file's diff into its header (diff --git, index, ---, +++) and
+// hunks; content lines always start with ' ', '+', '-' or '\'
+function splitHunks(diff) {
+  const start = diff.search(/^@@/m);
+  if (start === -1) return { header: diff, hunks: [] };
+  return {
+    header: diff.slice(0, start),
+    hunks: diff.slice(start).split(/^(?=@@)/m)
+  };
+}
+
+// Stage one hunk of the unstaged diff, or unstage one of the staged diff.
+// `hunkHeader` is the @@ line the client saw; if the diff has moved on
+// since, nothing is applied.
+async function applyHunk(cwd, file, index, { unstage = false, hunkHeader } = {}) {
+  const diff = await runGit(cwd, ['diff', ...DIFF_OPTIONS, ...(unstage ? ['--cached'] : []), '--', file]);
+  const { header, hunks } = splitHunks(diff);
+  const hunk = hunks[index];
+  if (!hunk || (hunkHeader && !hunk.startsWith(hunkHeader))) {
+    throw new GitError('The diff has changed; reload it and try again', 409);
+  }
+  await runGit(cwd, ['apply', '--cached', '--whitespace=nowarn', ...(unstage ? ['--reverse'] : []), '-'], {
+    input: header + hunk
+  });
+}
+
+// Commit what is staged; resolves with the new commit
+async function commit(cwd, message) {
+  if (typeof message !== 'string' || !message.trim()) {
+    throw new GitError('Commit message required');
+  }
+  await runGit(cwd, ['commit', '--quiet', '--file=-'], { input: message });
+  const [latest] = await getLog(cwd, { limit: 1 });
+  return latest;
+}
+
+module.exports = {
+  GitError,
+  DIFF_OPTIONS,
+  runGit,
+  literalPath,
+  excludePathspecs,
+  parseStatus,
+  getStatus,
+  getLog,
+  getCommit,
+  getBranchInfo,
+  getStashes,
+  stageFiles,
+  unstageFiles,
+  applyHunk,
+  commit
+};
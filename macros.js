@@ -0,0 +1,165 @@
+// Quick-command macros: named input sequences the web UI can send
+//
+// The built-in macros can be changed or removed (set to null), and more can be
+// added, in the "macros" section of ~/.shellstream/config.json and of a
+// .shellstream.json file in the project directory (which wins). A macro is
+// a string to type, a list of steps, or { label, description, steps }. A step
+// is a string, { "key": "enter" }, or { "delay": milliseconds }.
+
+const fs = require('fs');
+const path = require('path');
+
+const PROJECT_FILE = '.shellstream.json';
+const MAX_DELAY = 60000;
+
+const KEYS = {
+  enter: '\r',
+  esc: '\x1b',
+  tab: '\t',
+  backspace: '\x7f',
+  up: '\x1b[A',
+  down: '\x1b[B',
+  right: '\x1b[C',
+  left: '\x1b[D',
+  'ctrl-c': '\x03',
+  'ctrl-d': '\x04',
+  'ctrl-l': '\x0c',
+  'ctrl-z': '\x1a'
+};
+
+const DEFAULT_MACROS = {
+  approve: { label: 'Approve', description: 'Answer y', steps: ['y\n'] },
+  reject: { label: 'Reject', description: 'Answer n', steps: ['n\n'] },
+  interrupt: { label: 'Interrupt', description: 'Ctrl+C', steps: [{ key: 'ctrl-c' }] },
+  eof: { label: 'EOF', description: 'Ctrl+D', steps: [{ key: 'ctrl-d' }] },
+  clear: { label: 'Clear', description: 'Ctrl+L', steps: [{ key: 'ctrl-l' }] }
+};
+
+// Older clients send these names; a macro with the same name takes precedence
+const ALIASES = {
+  yes: 'approve',
+  no: 'reject'
+};
+
+function resolveMacroName(name, exists) {
+  return !exists(name) && ALIASES[name] ? ALIASES[name] : name;
+}
+
+function isValidName(name) {
+  return /^[\w.-]{1,40}$/.test(name);
+}
+
+// Returns { name, label, description, steps: [{ send } | { delay }] }; throws
+// on a malformed definition
+function normalizeMacro(name, definition) {
+  if (!isValidName(name)) {
+    throw new Error('names may only contain letters, digits, ".", "-" and "_"');
+  }
+
+  const spec = typeof definition === 'string' || Array.isArray(definition)
+    ? { steps: definition }
+    : definition;
+  if (!spec || typeof spec !== 'object') {
+    throw new Error('expected a string, a list of steps or an object');
+  }
+
+  let rawSteps = spec.steps !== undefined ? spec.steps : spec.send;
+  if (!Array.isArray(rawSteps)) {
+    rawSteps = [rawSteps];
+  }
+  const steps = rawSteps.map(normalizeStep);
+  if (!steps.some(step => step.send)) {
+    throw new Error('nothing to send');
+  }
+
+  return {
+    name,
+    label: String(spec.label || name),
+    description: spec.description ? String(spec.description) : '',
+    steps
+  };
+}
+
+function normalizeStep(step) {
+  if (typeof step === 'string') {
+    return { send: step };
+  }
+  if (step && typeof step.send === 'string') {
+    return { send: step.send };
+  }
+  if (step && typeof step.key === 'string') {
+    const send = KEYS[step.key.toLowerCase()];
+    if (!send) {
+      throw new Error(`unknown key "${step.key}" (use one of ${Object.keys(KEYS).join(', ')})`);
+    }
+    return { send };
+  }
+  if (step && Number.isFinite(step.delay) && step.delay >= 0) {
+    return { delay: Math.min(step.delay, MAX_DELAY) };
+  }
+  throw new Error(`invalid step ${JSON.stringify(step)}`);
+}
+
+function readProjectMacros(projectPath) {
+  const filePath = path.join(projectPath, PROJECT_FILE);
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return { macros: parsed.macros || {}, source: filePath };
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error(`[Monitor] Could not read ${filePath}: ${err.message}`);
+    }
+    return { macros: {}, source: filePath };
+  }
+}
+
+// Built-in, global and project macros by name; broken entries are skipped
+function loadMacros(projectPath, config) {
+  const layers = [
+    { macros: DEFAULT_MACROS, source: 'built-in macros' },
+    { macros: config.macros || {}, source: 'config.json' },
+    readProjectMacros(projectPath)
+  ];
+
+  const macros = new Map();
+  layers.forEach(({ macros: definitions, source }) => {
+    Object.entries(definitions).forEach(([name, definition]) => {
+      if (definition === null) {
+        macros.delete(name);
+        return;
+      }
+      try {
+        macros.set(name, normalizeMacro(name, definition));
+      } catch (err) {
+        console.error(`[Monitor] Ignoring macro "${name}" in ${source}: ${err.message}`);
+      }
+    });
+  });
+  return macros;
+}
+
+// What the server and web UI get to see: no steps, just how to show it
+function describeMacros(macros) {
+  return Array.from(macros.values()).map(({ name, label, description }) => ({ name, label, description }));
+}
+
+// Type the macro's steps with `write`, waiting out its delays
+async function runMacro(macro, write) {
+  for (const step of macro.steps) {
+    if (step.delay !== undefined) {
+      await new Promise(resolve => setTimeout(resolve, step.delay));
+    } else {
+      write(step.send);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_MACROS,
+  PROJECT_FILE,
+  isValidName,
+  resolveMacroName,
+  loadMacros,
+  describeMacros,
+  runMacro
+};
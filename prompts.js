@@ -0,0 +1,138 @@
+// Detects when a wrapped program is waiting for an answer
+//
+// Output is matched against prompt rules (regular expressions, tested line by
+// line against the last few lines of ANSI-stripped output). Optionally, output
+// that stops for a while also counts as a prompt. A detected prompt stays
+// active until the next input, so each prompt is reported once; output that
+// follows a quiet period ends it too, so a second prompt printed without any
+// input in between (a retry after a timeout, say) is reported as well.
+
+const { stripAnsi, toLines, compileLinePattern } = require('./ansi');
+
+const DEFAULT_PROMPT_RULES = [
+  { name: 'yes/no', pattern: '[\\[(]\\s*\\[?y(es)?\\]?\\s*/\\s*\\[?n(o)?\\]?\\s*[\\])]' },
+  { name: 'password', pattern: '(password|passphrase|passcode|pin)\\b[^:\\n]*:\\s*$' },
+  { name: 'confirm', pattern: 'do you want to (proceed|continue)|are you sure' },
+  { name: 'press key', pattern: 'press (enter|return|any key)' }
+];
+
+const TAIL_SIZE = 4096;    // Raw output kept for matching
+const LINES_CHECKED = 5;   // Prompts can be followed by a short menu
+const QUIET_MS = 1000;     // Output after this long without any is new output
+
+// Accepts a regex source string or { name, pattern, flags }; matching is
+// case-insensitive unless flags say otherwise. Invalid rules, including ones
+// with the g or y flag, are skipped with a warning.
+function compileRule(rule) {
+  const { name, pattern, flags } = typeof rule === 'string'
+    ? { name: rule, pattern: rule, flags: 'i' }
+    : rule;
+
+  try {
+    return { name: name || pattern, regex: compileLinePattern(pattern, flags) };
+  } catch (err) {
+    console.error(`[Monitor] Ignoring invalid prompt pattern ${JSON.stringify(pattern)}: ${err.message}`);
+    return null;
+  }
+}
+
+class PromptDetector {
+  constructor(options = {}) {
+    const rules = [
+      ...(options.useDefaults === false ? [] : DEFAULT_PROMPT_RULES),
+      ...(options.patterns || [])
+    ];
+    this.rules = rules.map(compileRule).filter(Boolean);
+    this.idleMs = (options.idleSeconds || 0) * 1000;
+    this.debounceMs = options.debounceMs || 150;
+    this.onPrompt = options.onPrompt || (() => {});
+    this.onClear = options.onClear || (() => {});
+
+    this.quietMs = options.quietMs || QUIET_MS;
+
+    this.tail = '';
+    this.active = null;
+    this.lastOutputAt = 0;
+    this.checkTimer = null;
+    this.idleTimer = null;
+  }
+
+  handleOutput(data) {
+    const now = Date.now();
+    if (this.active && now - this.lastOutputAt >= this.quietMs) {
+      // The program went quiet after the prompt and is printing again: what
+      // came before was answered or abandoned and must not match again
+      this.tail = '';
+      this.active = null;
+      this.onClear();
+    }
+    this.lastOutputAt = now;
+    this.tail = (this.tail + data).slice(-TAIL_SIZE);
+
+    // Wait for a pause so a prompt printed in several chunks is complete
+    clearTimeout(this.checkTimer);
+    this.checkTimer = setTimeout(() => this.check(), this.debounceMs);
+
+    if (this.idleMs > 0) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = setTimeout(() => this.handleIdle(), this.idleMs);
+    }
+  }
+
+  // Any input answers the prompt; old output must not match again
+  handleInput() {
+    this.tail = '';
+    clearTimeout(this.checkTimer);
+    clearTimeout(this.idleTimer);
+
+    if (this.active) {
+      this.active = null;
+      this.onClear();
+    }
+  }
+
+  lastLines() {
+    return toLines(stripAnsi(this.tail))
+      .map(line => line.trimEnd())
+      .filter(Boolean)
+      .slice(-LINES_CHECKED);
+  }
+
+  check() {
+    if (this.active) return;
+
+    const lines = this.lastLines().reverse();
+    for (const line of lines) {
+      const rule = this.rules.find(candidate => candidate.regex.test(line));
+      if (rule) {
+        this.trigger({ rule: rule.name, reason: 'pattern', text: line.trim() });
+        return;
+      }
+    }
+  }
+
+  handleIdle() {
+    if (this.active) return;
+
+    const lines = this.lastLines();
+    if (lines.length > 0) {
+      this.trigger({ rule: 'idle', reason: 'idle', text: lines[lines.length - 1].trim() });
+    }
+  }
+
+  trigger(prompt) {
+    clearTimeout(this.idleTimer);
+    this.active = { ...prompt, timestamp: Date.now() };
+    this.onPrompt(this.active);
+  }
+
+  dispose() {
+    clearTimeout(this.checkTimer);
+    clearTimeout(this.idleTimer);
+  }
+}
+
+module.exports = {
+  DEFAULT_PROMPT_RULES,
+  PromptDetector
+};
@@ -0,0 +1,76 @@
+// Binary framing for terminal output
+//
+// Control messages stay JSON; output, which is most of the traffic, can be
+// sent as binary frames instead. Peers only do so after the other side has
+// said it understands them: the server's 'registered' reply tells a wrapper
+// which version it accepts, and a web client sends { type: 'hello',
+// protocols: [...] } and gets { type: 'hello', protocol } back. Anyone who
+// never negotiates keeps getting JSON.
+//
+// Version 1 output frame (big-endian):
+//   0      uint8    protocol version
+//   1      uint8    frame type (1 = output)
+//   2-5    uint32   output sequence number (0 if unknown)
+//   6-13   float64  timestamp (ms since the epoch)
+//   14-15  uint16   session id length n
+//   16...  session id (n bytes of UTF-8), then the output as UTF-8
+
+const PROTOCOL_VERSION = 1;
+const FRAME_OUTPUT = 1;
+const HEADER_SIZE = 16;
+
+// The highest version both sides support, or 0 to stay with JSON
+function negotiateProtocol(offered) {
+  const versions = Array.isArray(offered) ? offered : [offered];
+  return versions.includes(PROTOCOL_VERSION) ? PROTOCOL_VERSION : 0;
+}
+
+function encodeOutputFrame({ sessionId, seq, timestamp, data }) {
+  const id = Buffer.from(sessionId, 'utf8');
+  if (id.length > 0xffff) {
+    throw new Error('Session id too long for a binary frame');
+  }
+  const payload = Buffer.from(data, 'utf8');
+  const frame = Buffer.allocUnsafe(HEADER_SIZE + id.length + payload.length);
+
+  frame.writeUInt8(PROTOCOL_VERSION, 0);
+  frame.writeUInt8(FRAME_OUTPUT, 1);
+  frame.writeUInt32BE(seq || 0, 2);
+  frame.writeDoubleBE(timestamp || Date.now(), 6);
+  frame.writeUInt16BE(id.length, 14);
+  id.copy(frame, HEADER_SIZE);
+  payload.copy(frame, HEADER_SIZE + id.length);
+  return frame;
+}
+
+// Returns the same shape as a JSON output message; throws on a bad frame
+function decodeFrame(buffer) {
+  if (buffer.length < HEADER_SIZE) {
+    throw new Error('Frame too short');
+  }
+  const version = buffer.readUInt8(0);
+  if (version !== PROTOCOL_VERSION) {
+    throw new Error(`Unsupported protocol version ${version}`);
+  }
+  const frameType = buffer.readUInt8(1);
+  if (frameType !== FRAME_OUTPUT) {
+    throw new Error(`Unknown frame type ${frameType}`);
+  }
+
+  const idLength = buffer.readUInt16BE(14);
+  const seq = buffer.readUInt32BE(2);
+  return {
+    type: 'output',
+    sessionId: buffer.toString('utf8', HEADER_SIZE, HEADER_SIZE + idLength),
+    seq: seq || undefined,
+    timestamp: buffer.readDoubleBE(6),
+    data: buffer.toString('utf8', HEADER_SIZE + idLength)
+  };
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  negotiateProtocol,
+  encodeOutputFrame,
+  decodeFrame
+};
@@ -0,0 +1,274 @@
+// Relay mode: forwards this server's sessions to an upstream hub
+//
+// Each local session gets its own WebSocket to the hub and looks there like a
+// wrapper connected directly: it registers, streams output and receives input,
+// which is passed on to the local wrapper. Dropped links reconnect with
+// backoff; the hub's 'registered' reply says how much output it already has,
+// and only the rest is resent from local history.
+
+const WebSocket = require('ws');
+const os = require('os');
+const { CertificateError, resolveTlsOptions, describeTlsError } = require('./certs');
+
+// What the hub may send towards a wrapper. Input control (locking, handing
+// over the keyboard) is decided by this server, not by the hub.
+const HUB_MESSAGES = ['input', 'command', 'kill', 'request_history'];
+
+class Relay {
+  constructor(options) {
+    this.url = toWebSocketUrl(options.url);
+    this.token = options.token;
+    this.tlsFingerprint = options.tlsFingerprint || null;
+    this.reconnectDelay = 1000;
+    this.maxReconnectDelay = options.maxReconnectDelay || 30000;
+
+    // Hooks into the local server
+    this.readHistory = options.readHistory;
+    this.getSession = options.getSession;
+    this.deliver = options.deliver;
+
+    this.links = new Map();
+  }
+
+  // Called with every message a local wrapper sends
+  forward(sessionId, msg) {
+    if (msg.type === 'register') {
+      this.open(sessionId, msg);
+      return;
+    }
+    if (msg.type === 'pong') return;
+
+    const link = this.links.get(sessionId);
+    if (!link) return;
+
+    if (msg.type === 'resize') {
+      link.register = { ...link.register, cols: msg.cols, rows: msg.rows };
+    }
+
+    if (link.state === 'ready') {
+      this.send(link, msg);
+    } else if (link.state === 'resuming') {
+      link.queue.push(msg);
+    }
+    // While the hub is unreachable nothing is kept here: output is in local
+    // history and the rest of the session state is sent again on resume
+
+    if (msg.type === 'disconnect') {
+      this.close(sessionId);
+    }
+  }
+
+  open(sessionId, register) {
+    this.close(sessionId);
+
+    const link = {
+      sessionId,
+      register: { ...register, relay: register.relay || os.hostname() },
+      ws: null,
+      state: 'connecting',
+      queue: [],
+      attempts: 0,
+      timer: null,
+      closed: false
+    };
+    this.links.set(sessionId, link);
+    this.tryConnect(link);
+  }
+
+  // connect() throws for a malformed upstream URL, among others; that is
+  // logged and retried like an unreachable hub
+  tryConnect(link) {
+    this.connect(link).catch(err => {
+      console.error(`[Relay] Error connecting session ${link.sessionId} to ${this.url}: ${err.message}`);
+      if (!link.closed) {
+        this.scheduleReconnect(link);
+      }
+    });
+  }
+
+  async connect(link) {
+    link.state = 'connecting';
+
+    // The hub's certificate is checked before the token is sent (wss:// only)
+    let tlsOptions;
+    try {
+      tlsOptions = await resolveTlsOptions(this.url, {
+        fingerprint: this.tlsFingerprint,
+        log: message => console.log(message)
+      });
+    } catch (err) {
+      if (err instanceof CertificateError) {
+        console.error(`[Relay] ${err.message}; refusing to connect`);
+      } else if (link.attempts === 0) {
+        console.error(`[Relay] Could not reach hub at ${this.url}: ${err.message}`);
+      }
+      if (!link.closed) {
+        this.scheduleReconnect(link);
+      }
+      return;
+    }
+    if (link.closed) return;
+
+    const ws = new WebSocket(this.url, {
+      perMessageDeflate: true,
+      headers: {
+        Authorization: `Bearer ${this.token}`
+      },
+      ...tlsOptions
+    });
+    link.ws = ws;
+
+    ws.on('open', () => {
+      if (link.attempts > 0) {
+        console.log(`[Relay] Reconnected session ${link.sessionId} to ${this.url}`);
+      }
+      link.attempts = 0;
+      this.send(link, link.register);
+    });
+
+    ws.on('message', (message) => {
+      try {
+        this.handleHubMessage(link, JSON.parse(message));
+      } catch (err) {
+        console.error('[Relay] Error handling hub message:', err.message);
+      }
+    });
+
+    ws.on('close', (code, reason) => {
+      if (link.ws !== ws || link.closed) return;
+      link.state = 'connecting';
+      link.queue = [];
+      if (code === 1008) {
+        console.error(`[Relay] Hub refused session ${link.sessionId}: ${reason || 'policy violation'}`);
+      }
+      this.scheduleReconnect(link);
+    });
+
+    ws.on('error', (err) => {
+      const certificateProblem = describeTlsError(err, this.url);
+      if (certificateProblem) {
+        console.error(`[Relay] ${certificateProblem}`);
+      } else if (/Unexpected server response: 401/.test(err.message)) {
+        console.error(`[Relay] Hub at ${this.url} rejected the relay token`);
+      } else if (link.attempts === 0) {
+        console.error(`[Relay] Could not reach hub at ${this.url}: ${err.message}`);
+      }
+    });
+  }
+
+  handleHubMessage(link, msg) {
+    switch (msg.type) {
+      case 'registered':
+        this.resume(link, msg.lastSeq || 0);
+        break;
+
+      case 'ping':
+        this.send(link, { type: 'pong' });
+        break;
+
+      default:
+        // Input, commands and history requests are for the wrapper; the
+        // server checks them like any other client's before passing them on
+        if (HUB_MESSAGES.includes(msg.type)) {
+          this.deliver(link.sessionId, msg);
+        }
+    }
+  }
+
+  // Send the output the hub is missing, then anything that arrived meanwhile
+  async resume(link, lastSeq) {
+    const ws = link.ws;
+    link.state = 'resuming';
+    link.queue = [];
+
+    const entries = await this.readHistory(link.sessionId);
+    if (link.closed || link.ws !== ws) return;
+
+    const missing = entries
+      .filter(entry => entry.type === 'output' && entry.seq > lastSeq)
+      .map(({ data, timestamp, seq }) => ({ data, timestamp, seq }));
+    if (missing.length > 0) {
+      this.send(link, { type: 'history', data: missing });
+    }
+
+    // Bring the hub up to date on what happened while the link was down
+    const session = this.getSession(link.sessionId);
+    if (session && session.prompt) {
+      this.send(link, {
+        type: 'prompt_detected',
+        data: session.prompt.text,
+        rule: session.prompt.rule,
+        reason: session.prompt.reason,
+        timestamp: session.prompt.timestamp
+      });
+    }
+    if (session && (session.state === 'exited' || session.state === 'killed')) {
+      this.send(link, {
+        type: 'process_exit',
+        exitCode: session.exitCode,
+        signal: session.signal,
+        timestamp: session.endedAt
+      });
+    }
+
+    const queued = link.queue;
+    link.queue = [];
+    link.state = 'ready';
+    queued.forEach(msg => this.send(link, msg));
+  }
+
+  scheduleReconnect(link) {
+    link.attempts++;
+    const backoff = this.reconnectDelay * Math.pow(2, Math.min(link.attempts - 1, 16));
+    const delay = Math.round(Math.min(backoff, this.maxReconnectDelay) * (0.8 + Math.random() * 0.4));
+
+    if (link.attempts <= 3 || link.attempts % 10 === 0) {
+      console.log(`[Relay] Reconnecting session ${link.sessionId} in ${delay}ms (attempt ${link.attempts})`);
+    }
+
+    link.timer = setTimeout(() => {
+      link.timer = null;
+      if (!link.closed) {
+        this.tryConnect(link);
+      }
+    }, delay);
+  }
+
+  send(link, message) {
+    if (link.ws && link.ws.readyState === WebSocket.OPEN) {
+      link.ws.send(JSON.stringify({
+        ...message,
+        sessionId: link.sessionId
+      }));
+    }
+  }
+
+  // The local wrapper is gone; the hub sees the session disconnect
+  close(sessionId) {
+    const link = this.links.get(sessionId);
+    if (!link) return;
+
+    link.closed = true;
+    clearTimeout(link.timer);
+    if (link.ws) {
+      link.ws.close();
+    }
+    this.links.delete(sessionId);
+  }
+
+  stop() {
+    Array.from(this.links.keys()).forEach(sessionId => this.close(sessionId));
+  }
+}
+
+// Accepts ws(s):// URLs, http(s):// URLs of the hub's web UI, or host:port
+function toWebSocketUrl(url) {
+  if (/^wss?:\/\//.test(url)) return url;
+  if (/^https?:\/\//.test(url)) return url.replace(/^http/, 'ws');
+  return `ws://${url}`;
+}
+
+module.exports = {
+  Relay,
+  toWebSocketUrl
+};
@@ -0,0 +1,104 @@
+// Server-side terminal emulator that mirrors a session's screen
+//
+// Subscribers get a serialized snapshot of the current screen and scrollback
+// instead of a replay of every raw output chunk, so full-screen programs and
+// trimmed history always render correctly.
+
+const { Terminal } = require('@xterm/headless');
+const { SerializeAddon } = require('@xterm/addon-serialize');
+
+class ScreenMirror {
+  constructor({ cols = 80, rows = 24, scrollback = 1000 } = {}) {
+    this.scrollback = scrollback;
+    this.terminal = new Terminal({ cols, rows, scrollback, allowProposedApi: true });
+    this.serializer = new SerializeAddon();
+    this.terminal.loadAddon(this.serializer);
+    this.pending = null;
+    this.waiting = new Set();
+  }
+
+  get cols() {
+    return this.terminal.cols;
+  }
+
+  get rows() {
+    return this.terminal.rows;
+  }
+
+  // Rebuild the screen from stored history entries. Writes made while the
+  // history is loading are queued and applied after it, in order.
+  load(historyPromise) {
+    this.pending = [];
+    return historyPromise
+      .then(entries => entries.forEach(entry => this.applyEntry(entry)))
+      .catch(err => console.error('[Server] Error loading screen history:', err.message))
+      .finally(() => {
+        const pending = this.pending || [];
+        this.pending = null;
+        pending.forEach(action => action());
+      });
+  }
+
+  applyEntry(entry) {
+    if (entry.type === 'resize') {
+      this.applyResize(entry.cols, entry.rows);
+    } else if (entry.type !== 'input' && entry.data) {
+      this.terminal.write(entry.data);
+    }
+  }
+
+  applyResize(cols, rows) {
+    if (cols > 0 && rows > 0) {
+      this.terminal.resize(cols, rows);
+    }
+  }
+
+  write(data) {
+    if (this.pending) {
+      this.pending.push(() => this.terminal.write(data));
+    } else {
+      this.terminal.write(data);
+    }
+  }
+
+  resize(cols, rows) {
+    if (this.pending) {
+      this.pending.push(() => this.applyResize(cols, rows));
+    } else {
+      this.applyResize(cols, rows);
+    }
+  }
+
+  // Resolves with the screen as of this call: everything written before it
+  // and nothing written after it
+  snapshot() {
+    return new Promise(resolve => {
+      const finish = () => {
+        if (!this.waiting.delete(finish)) return;
+        resolve({
+          cols: this.cols,
+          rows: this.rows,
+          data: this.serializer.serialize({ scrollback: this.scrollback })
+        });
+      };
+      this.waiting.add(finish);
+
+      const take = () => this.terminal.write('', finish);
+
+      if (this.pending) {
+        this.pending.push(take);
+      } else {
+        take();
+      }
+    });
+  }
+
+  // Outstanding snapshots resolve with the screen as it is now
+  dispose() {
+    this.waiting.forEach(finish => finish());
+    this.pending = null;
+    this.terminal.dispose();
+  }
+}
+
+module.exports = { ScreenMirror };
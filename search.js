@@ -0,0 +1,83 @@
+// Full-text search over stored session output
+//
+// Output chunks are joined back into lines before matching, because a line
+// is often split across several chunks. Each line keeps the timestamp of the
+// chunk that finished it, which is when it became visible in the terminal.
+
+const { stripAnsi, toLines } = require('./ansi');
+
+const MAX_CONTEXT = 10;
+
+// Plain queries match case-insensitively; regex queries use the pattern as
+// given (case-insensitive unless caseSensitive is set). Throws on a bad regex.
+function createMatcher(query, { regex = false, caseSensitive = false } = {}) {
+  if (regex) {
+    const pattern = new RegExp(query, caseSensitive ? '' : 'i');
+    return line => pattern.test(line);
+  }
+
+  const needle = caseSensitive ? query : query.toLowerCase();
+  return line => (caseSensitive ? line : line.toLowerCase()).includes(needle);
+}
+
+// Turn history entries into [{ text, timestamp }] lines of plain text
+function historyToLines(entries) {
+  const lines = [];
+  let raw = '';
+  let timestamp = null;
+
+  const finishLine = () => {
+    const [text] = toLines(stripAnsi(raw));
+    lines.push({ text: text.trimEnd(), timestamp });
+    raw = '';
+  };
+
+  entries.forEach(entry => {
+    if (entry.type !== 'output' || !entry.data) return;
+
+    const parts = entry.data.split('\n');
+    parts.forEach((part, index) => {
+      raw += part;
+      timestamp = entry.timestamp;
+      if (index < parts.length - 1) {
+        finishLine();
+      }
+    });
+  });
+
+  if (raw) {
+    finishLine();
+  }
+
+  return lines;
+}
+
+// Matching lines with up to `context` lines either side. Returns at most
+// `limit` hits; `since` (ms) skips lines that appeared earlier.
+function searchLines(lines, matcher, { context = 2, since = 0, limit = 100 } = {}) {
+  const around = Math.max(0, Math.min(context, MAX_CONTEXT));
+  const hits = [];
+
+  for (let i = 0; i < lines.length && hits.length < limit; i++) {
+    const line = lines[i];
+    if (since && line.timestamp && line.timestamp < since) continue;
+    if (!line.text || !matcher(line.text)) continue;
+
+    hits.push({
+      line: i + 1,
+      timestamp: line.timestamp,
+      text: line.text,
+      before: lines.slice(Math.max(0, i - around), i).map(l => l.text),
+      after: lines.slice(i + 1, i + 1 + around).map(l => l.text)
+    });
+  }
+
+  return hits;
+}
+
+module.exports = {
+  MAX_CONTEXT,
+  createMatcher,
+  historyToLines,
+  searchLines
+};
@@ -4,6 +4,7 @@ const fs = require('fs');
 const path = require('path');
 const { exec } = require('child_process');
 const net = require('net');
+const { isTlsEnabled } = require('./config');
 
 class ServerManager {
   constructor() {
@@ -25,7 +26,7 @@ class ServerManager {
       console.log(`  PID:        ${pid}`);
     }
     if (running) {
-      console.log(`  Web UI:     http://localhost:${this.serverPort}`);
+      console.log(`  Web UI:     ${isTlsEnabled() ? 'https' : 'http'}://localhost:${this.serverPort}`);
       
       // Get session count
       try {
@@ -123,7 +124,7 @@ class ServerManager {
     
     console.log(`Server started with PID ${serverProcess.pid}`);
     console.log(`Logs: ${logFile}`);
-    console.log(`Web UI: http://localhost:${this.serverPort}`);
+    console.log(`Web UI: ${isTlsEnabled() ? 'https' : 'http'}://localhost:${this.serverPort}`);
   }
 
   async logs() {
@@ -214,41 +215,15 @@ class ServerManager {
     }
   }
 
+  // Through the wrapper's API helper, so it uses HTTPS with the pinned
+  // certificate when TLS is enabled
   async fetchSessions() {
-    return new Promise((resolve, reject) => {
-      const http = require('http');
-      
-      const options = {
-        hostname: 'localhost',
-        port: this.serverPort,
-        path: '/api/sessions',
-        method: 'GET'
-      };
-      
-      const req = http.request(options, (res) => {
-        let data = '';
-        
-        res.on('data', (chunk) => {
-          data += chunk;
-        });
-        
-        res.on('end', () => {
-          try {
-            resolve(JSON.parse(data));
-          } catch (err) {
-            reject(err);
-          }
-        });
-      });
-      
-      req.on('error', reject);
-      req.setTimeout(1000, () => {
-        req.destroy();
-        reject(new Error('Timeout'));
-      });
-      
-      req.end();
-    });
+    const { requestLocalServer } = require('./shellstream');
+    const response = await requestLocalServer(this.serverPort, 'GET', '/api/sessions');
+    if (!response.ok) {
+      throw new Error(response.statusText);
+    }
+    return JSON.parse(response.body);
   }
 
   printHelp() {
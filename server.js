@@ -1,68 +1,364 @@
 const express = require('express');
 const { WebSocketServer } = require('ws');
 const http = require('http');
+const https = require('https');
 const path = require('path');
 const fs = require('fs').promises;
 const { v4: uuidv4 } = require('uuid');
-const { exec } = require('child_process');
-const util = require('util');
-const execPromise = util.promisify(exec);
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { loadConfig, ensureAuthToken, getDataDir, isTlsEnabled } = require('./config');
+const { historyToCast, parseCast, castToHistory } = require('./asciicast');
+const { ScreenMirror } = require('./screen');
+const { MAX_CONTEXT, createMatcher, historyToLines, searchLines } = require('./search');
+const { Relay } = require('./relay');
+const { loadServerCertificate } = require('./certs');
+const { AuditLog } = require('./audit');
+const { isValidName, resolveMacroName } = require('./macros');
+const { TriggerEngine, validateTrigger, describeTrigger, formatMessage, postWebhook } = require('./triggers');
+const { PROTOCOL_VERSION, negotiateProtocol, encodeOutputFrame, decodeFrame } = require('./protocol');
+const { DirectoryWatcher } = require('./watcher');
+const git = require('./git');
+
+const AUTH_COOKIE = 'shellstream_token';
+
+// Access roles, weakest first. The main token is the owner of every session;
+// share links grant a viewer or controller role on a single session.
+const ROLES = ['viewer', 'controller', 'owner'];
+
+const MAX_NOTE_LENGTH = 2000;
+
+// Signals the web UI may send to a session's process
+const KILL_SIGNALS = ['SIGTERM', 'SIGINT', 'SIGHUP', 'SIGQUIT', 'SIGKILL'];
+
+// How long a restart waits for the process to stop after SIGTERM, and again
+// after SIGKILL before giving up
+const RESTART_STOP_TIMEOUT = 10000;
+
+// Recently modified files: which ones count, and how many are looked at
+const RECENT_EXTENSIONS = new Set(['.js', '.ts', '.jsx', '.tsx', '.py', '.java']);
+const RECENT_SCAN_LIMIT = 5000;
 
 class ShellstreamServer {
-  constructor(port = 47832) {
+  constructor(port = 47832, options = {}) {
     this.port = port;
+    this.config = options.config || loadConfig();
+    this.host = options.host || process.env.SHELLSTREAM_HOST || this.config.server.host;
     this.app = express();
-    this.server = http.createServer(this.app);
+    // With TLS the certificate is loaded (or generated) in start()
+    this.tlsEnabled = isTlsEnabled(this.config);
+    this.server = this.tlsEnabled ? https.createServer(this.app) : http.createServer(this.app);
+    
+    // Authentication (shared secret from the config file)
+    this.authEnabled = this.config.auth.enabled !== false;
+    this.authToken = options.authToken || ensureAuthToken();
     
     // Use simplest compression config - just enable it and let ws handle negotiation
     this.wss = new WebSocketServer({ 
       server: this.server,
-      perMessageDeflate: true  // Enable with all defaults
+      perMessageDeflate: true,  // Enable with all defaults
+      verifyClient: (info, done) => {
+        const principal = this.getPrincipal(info.req);
+        if (principal) {
+          info.req.principal = principal;
+          done(true);
+        } else {
+          console.log(`[Server] Rejected unauthenticated WebSocket from ${info.req.socket.remoteAddress}`);
+          done(false, 401, 'Unauthorized');
+        }
+      }
     });
     
+    // Share links (token hash -> share), persisted in the data directory
+    this.shares = new Map();
+    this.sharesPath = path.join(getDataDir(this.config), 'shares.json');
+    
     // Session management
     this.sessions = new Map();
     this.clients = new Map();
     this.webClients = new Set();
     
-    // Session history (in-memory, could be Redis/DB)
-    this.sessionHistory = new Map();
+    // Session history and metadata (persistent by default, see history.backend)
+    this.historyStore = options.historyStore || createHistoryStore(this.config);
+    
+    // Who sent which input and commands (see audit.enabled)
+    this.auditLog = this.config.audit.enabled === false ? null : new AuditLog({
+      dataDir: getDataDir(this.config),
+      maxBytes: (this.config.audit.maxSizeMB || 0) * 1024 * 1024
+    });
+    
+    // Output triggers from the config file; sessions can add their own
+    this.triggers = new TriggerEngine({
+      rules: this.config.triggers,
+      fire: (sessionId, rule, match) => this.fireTrigger(sessionId, rule, match)
+    });
+    
+    // Emulated screens of connected sessions, used for subscribe snapshots
+    this.screens = new Map();
+    
+    // Unsent data a web client may pile up before its output is paused
+    this.backpressureBytes = this.config.server.backpressureKB * 1024;
+    
+    // Pending requests for the keyboard, answered at the terminal (requestId -> request)
+    this.controlRequests = new Map();
+    
+    // Wrappers started from the web UI (sessionId -> child process)
+    this.launchedProcesses = new Map();
+    
+    // Sessions to launch again once their wrapper has gone
+    // (sessionId -> { launch, timer })
+    this.pendingRestarts = new Map();
     
     // File browser
-    this.fileBrowser = new FileBrowser();
+    this.fileBrowser = new FileBrowser({
+      getRoots: () => this.localProjectPaths(),
+      allowedPaths: this.config.files.allowedPaths,
+      deny: this.config.files.deny
+    });
+    
+    // Watched project directories (real path -> { watcher, clients })
+    this.fileWatchers = new Map();
+    
+    // Relay mode: sessions are also forwarded to an upstream hub
+    this.relay = this.createRelay(options);
     
     this.setupExpress();
     this.setupWebSocket();
     this.setupFileBrowserRoutes();
   }
 
+  // What clients get to see of a session: no webhook settings, connection
+  // ids or who holds the keyboard beyond a display name
+  describeSession(session) {
+    return {
+      id: session.id,
+      projectName: session.projectName,
+      projectPath: session.projectPath,
+      command: session.command,
+      args: session.args,
+      hostname: session.hostname,
+      relay: session.relay,
+      platform: session.platform,
+      status: session.status,
+      state: session.state,
+      exitCode: session.exitCode,
+      signal: session.signal,
+      startedAt: session.startedAt,
+      endedAt: session.endedAt,
+      headless: session.headless,
+      readOnly: session.readOnly,
+      allowRemoteInput: session.allowRemoteInput,
+      cols: session.cols,
+      rows: session.rows,
+      displayName: session.displayName || null,
+      tags: session.tags || [],
+      note: session.note || '',
+      macros: session.macros || [],
+      inputControl: session.inputControl && {
+        mode: session.inputControl.mode,
+        holder: session.inputControl.holder && {
+          name: session.inputControl.holder.name,
+          role: session.inputControl.holder.role
+        }
+      },
+      connectedAt: session.connectedAt,
+      lastActivity: session.lastActivity,
+      hasPrompt: session.hasPrompt,
+      prompt: session.prompt
+    };
+  }
+
+  // Extract a bearer token or auth cookie from an HTTP/upgrade request
+  getRequestToken(req) {
+    const header = req.headers['authorization'] || '';
+    if (header.startsWith('Bearer ')) {
+      return header.slice(7).trim();
+    }
+    
+    const cookies = parseCookies(req.headers.cookie);
+    return cookies[AUTH_COOKIE] || null;
+  }
+
+  isValidToken(token) {
+    return typeof token === 'string' && safeCompare(token, this.authToken);
+  }
+
+  // Map a token to who is calling: the owner, a share link holder, or nobody
+  resolveToken(token) {
+    if (this.isValidToken(token)) {
+      return { role: 'owner' };
+    }
+    if (typeof token !== 'string') return null;
+    
+    const share = this.shares.get(hashToken(token));
+    if (!share || share.expiresAt <= Date.now()) return null;
+    return { role: share.role, sessionId: share.sessionId, shareId: share.id, expiresAt: share.expiresAt };
+  }
+
+  getPrincipal(req) {
+    if (!this.authEnabled) return { role: 'owner' };
+    return this.resolveToken(this.getRequestToken(req));
+  }
+
+  isAuthorized(req) {
+    return Boolean(this.getPrincipal(req));
+  }
+
+  // The principal's role for a session, or null when it may not see it
+  getRole(principal, sessionId) {
+    if (!principal) return null;
+    if (principal.role === 'owner') return 'owner';
+    if (principal.expiresAt <= Date.now()) return null;
+    return principal.sessionId === sessionId ? principal.role : null;
+  }
+
+  hasRole(principal, sessionId, role) {
+    return ROLES.indexOf(this.getRole(principal, sessionId)) >= ROLES.indexOf(role);
+  }
+
+  // Typing needs the controller role and a wrapper that accepts remote input
+  canControl(principal, sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (session && session.allowRemoteInput === false) return false;
+    return this.hasRole(principal, sessionId, 'controller');
+  }
+
+  // Commands are the macros the session's wrapper announced when it registered
+  hasMacro(sessionId, command) {
+    const session = this.sessions.get(sessionId);
+    if (!session || typeof command !== 'string') return false;
+    
+    const macros = session.macros || [];
+    const exists = name => macros.some(macro => macro.name === name);
+    return exists(resolveMacroName(command, exists));
+  }
+
+  // Whether a client may type right now. Input can be locked to the local
+  // terminal, or handed to one web client (who may even be a viewer).
+  // HTTP requests have no client id, so they can only type in shared mode.
+  canSendInput(principal, sessionId, clientId = null) {
+    const session = this.sessions.get(sessionId);
+    const control = (session && session.inputControl) || { mode: 'shared' };
+    
+    if (control.mode === 'local') return false;
+    if (control.mode === 'holder') {
+      return session.allowRemoteInput !== false && Boolean(clientId) && control.holder.id === clientId;
+    }
+    return this.canControl(principal, sessionId);
+  }
+
+  async loadShares() {
+    try {
+      const shares = JSON.parse(await fs.readFile(this.sharesPath, 'utf8'));
+      shares.filter(share => share.expiresAt > Date.now())
+        .forEach(share => this.shares.set(share.tokenHash, share));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error('[Server] Error loading share links:', err.message);
+      }
+    }
+  }
+
+  saveShares() {
+    const now = Date.now();
+    for (const [tokenHash, share] of this.shares) {
+      if (share.expiresAt <= now) this.shares.delete(tokenHash);
+    }
+    
+    const data = JSON.stringify(Array.from(this.shares.values()), null, 2);
+    fs.mkdir(path.dirname(this.sharesPath), { recursive: true, mode: 0o700 })
+      .then(() => fs.writeFile(this.sharesPath, data, { mode: 0o600 }))
+      .catch(err => console.error('[Server] Error saving share links:', err.message));
+  }
+
+  // Close connections of revoked or expired share links
+  disconnectShare(shareId) {
+    this.webClients.forEach(client => {
+      if (client.principal.shareId === shareId) {
+        client.ws.close(4001, 'Share link revoked');
+      }
+    });
+  }
+
   setupExpress() {
-    // Add CORS headers for Firefox compatibility
+    // CORS is only granted to explicitly configured origins; the bundled UI is same-origin
+    const corsOrigins = new Set(this.config.server.corsOrigins || []);
     this.app.use((req, res, next) => {
-      res.header('Access-Control-Allow-Origin', '*');
-      res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-      res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
+      const origin = req.headers.origin;
+      if (origin && corsOrigins.has(origin)) {
+        res.header('Access-Control-Allow-Origin', origin);
+        res.header('Access-Control-Allow-Credentials', 'true');
+        res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+        res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+        res.header('Vary', 'Origin');
+      }
       next();
     });
     
     // Serve static files from the module's public directory
     const publicPath = path.join(__dirname, 'public');
     this.app.use(express.static(publicPath));
+    // Saved files may be larger than the default body limit
+    this.app.use('/api/file', express.json({ limit: '2mb' }));
     this.app.use(express.json());
     
+    // Login exchanges the token for an HTTP-only cookie used by the web UI
+    this.app.post('/api/login', (req, res) => {
+      const { token } = req.body || {};
+      const principal = this.resolveToken(token);
+      if (!principal) {
+        return res.status(401).json({ error: 'Invalid token' });
+      }
+      
+      res.cookie(AUTH_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: req.secure,
+        path: '/',
+        maxAge: principal.expiresAt
+          ? principal.expiresAt - Date.now()
+          : 30 * 24 * 60 * 60 * 1000
+      });
+      res.json({ success: true, role: principal.role });
+    });
+    
+    this.app.post('/api/logout', (req, res) => {
+      res.clearCookie(AUTH_COOKIE, { path: '/' });
+      res.json({ success: true });
+    });
+    
+    this.app.get('/api/auth/status', (req, res) => {
+      const principal = this.getPrincipal(req);
+      res.json({
+        authenticated: Boolean(principal),
+        authEnabled: this.authEnabled,
+        role: principal ? principal.role : null,
+        sessionId: principal ? principal.sessionId || null : null,
+        expiresAt: principal ? principal.expiresAt || null : null
+      });
+    });
+    
+    // Every other API route requires the token
+    this.app.use('/api', (req, res, next) => {
+      if (req.method === 'OPTIONS') {
+        return next();
+      }
+      
+      req.principal = this.getPrincipal(req);
+      if (!req.principal) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      
+      // Share links only reach their own session's routes
+      if (req.principal.role !== 'owner' && !isShareRoute(req, req.principal.sessionId)) {
+        return res.status(403).json({ error: 'Not allowed with a share link' });
+      }
+      next();
+    });
+    
     // API endpoints
     this.app.get('/api/sessions', (req, res) => {
-      const sessions = Array.from(this.sessions.values()).map(session => ({
-        id: session.id,
-        projectName: session.projectName,
-        projectPath: session.projectPath,
-        hostname: session.hostname,
-        platform: session.platform,
-        status: session.status,
-        connectedAt: session.connectedAt,
-        lastActivity: session.lastActivity,
-        hasPrompt: session.hasPrompt
-      }));
+      const sessions = this.visibleSessions(req.principal).map(session => this.describeSession(session));
       res.json(sessions);
     });
     
@@ -71,18 +367,355 @@ class ShellstreamServer {
       if (!session) {
         return res.status(404).json({ error: 'Session not found' });
       }
-      res.json(session);
+      res.json(this.describeSession(session));
+    });
+    
+    // Quick commands for POST /api/session/:id/command
+    this.app.get('/api/session/:id/macros', (req, res) => {
+      const session = this.sessions.get(req.params.id);
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      res.json(session.macros || []);
+    });
+    
+    // Output triggers: the global ones come from the config file. Only the
+    // owner reaches these routes, and webhook headers are still masked.
+    this.app.get('/api/triggers', (req, res) => {
+      res.json(this.triggers.globalRules.map(describeTrigger));
+    });
+    
+    this.app.get('/api/session/:id/triggers', (req, res) => {
+      const session = this.sessions.get(req.params.id);
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      res.json({
+        global: this.triggers.globalRules.map(describeTrigger),
+        session: (session.triggers || []).map(describeTrigger)
+      });
+    });
+    
+    this.app.post('/api/session/:id/triggers', (req, res) => {
+      const session = this.sessions.get(req.params.id);
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      
+      let trigger;
+      try {
+        trigger = { ...validateTrigger(req.body), id: uuidv4() };
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+      
+      session.triggers = [...(session.triggers || []), trigger];
+      this.persistSession(session.id);
+      res.status(201).json(describeTrigger(trigger));
+    });
+    
+    this.app.delete('/api/session/:id/triggers/:triggerId', (req, res) => {
+      const session = this.sessions.get(req.params.id);
+      const triggers = (session && session.triggers) || [];
+      if (!triggers.some(trigger => trigger.id === req.params.triggerId)) {
+        return res.status(404).json({ error: 'Trigger not found' });
+      }
+      
+      session.triggers = triggers.filter(trigger => trigger.id !== req.params.triggerId);
+      this.persistSession(session.id);
+      res.json({ success: true });
+    });
+    
+    // Edit a session's display name, tags and note
+    this.app.patch('/api/session/:id', (req, res) => {
+      const session = this.sessions.get(req.params.id);
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      
+      const body = req.body || {};
+      const changes = {};
+      if (body.displayName !== undefined) {
+        if (body.displayName !== null && typeof body.displayName !== 'string') {
+          return res.status(400).json({ error: 'displayName must be a string' });
+        }
+        changes.displayName = sanitizeDisplayName(body.displayName);
+      }
+      if (body.tags !== undefined) {
+        if (!Array.isArray(body.tags) || body.tags.some(tag => typeof tag !== 'string')) {
+          return res.status(400).json({ error: 'tags must be a list of strings' });
+        }
+        changes.tags = sanitizeTags(body.tags);
+      }
+      if (body.note !== undefined) {
+        if (body.note !== null && typeof body.note !== 'string') {
+          return res.status(400).json({ error: 'note must be a string' });
+        }
+        if ((body.note || '').length > MAX_NOTE_LENGTH) {
+          return res.status(400).json({ error: `note is limited to ${MAX_NOTE_LENGTH} characters` });
+        }
+        changes.note = body.note || '';
+      }
+      if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ error: 'Nothing to change (displayName, tags, note)' });
+      }
+      
+      Object.assign(session, changes);
+      this.persistSession(session.id);
+      this.broadcastToWeb({ type: 'session_updated', sessionId: session.id, changes });
+      res.json({ displayName: session.displayName, tags: session.tags, note: session.note });
     });
     
-    this.app.get('/api/session/:id/history', (req, res) => {
-      const history = this.sessionHistory.get(req.params.id) || [];
+    this.app.get('/api/session/:id/history', async (req, res) => {
+      const history = await this.getHistory(req.params.id);
       res.json(history);
     });
     
+    // Search output across sessions (ANSI-stripped, line by line)
+    this.app.get('/api/search', async (req, res) => {
+      const query = String(req.query.q || '');
+      if (!query) {
+        return res.status(400).json({ error: 'Query required' });
+      }
+      if (query.length > 500) {
+        return res.status(400).json({ error: 'Query too long' });
+      }
+      
+      // A regex runs synchronously on the server thread, and a pathological one
+      // can keep it busy for minutes; share link holders get plain text only
+      const regex = req.query.regex === '1';
+      if (regex && req.principal.role !== 'owner') {
+        return res.status(403).json({ error: 'Regex search requires owner access' });
+      }
+      
+      let matcher;
+      try {
+        matcher = createMatcher(query, {
+          regex,
+          caseSensitive: req.query.case === '1'
+        });
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+      
+      const since = parseTime(req.query.since, 0);
+      if (Number.isNaN(since)) {
+        return res.status(400).json({ error: 'Invalid since value' });
+      }
+      
+      const limit = Math.max(1, Math.min(Math.floor(Number(req.query.limit)) || 100, 1000));
+      const context = req.query.context === undefined
+        ? 2
+        : Math.max(0, Math.min(Math.floor(Number(req.query.context)) || 0, MAX_CONTEXT));
+      const candidates = this.visibleSessions(req.principal)
+        .filter(session => !req.query.session || session.id === req.query.session)
+        .sort((a, b) => (b.lastActivity || 0) - (a.lastActivity || 0));
+      
+      const results = [];
+      for (const session of candidates) {
+        if (results.length >= limit) break;
+        
+        const lines = historyToLines(await this.getHistory(session.id));
+        searchLines(lines, matcher, { context, since, limit: limit - results.length }).forEach(hit => {
+          results.push({
+            sessionId: session.id,
+            projectName: session.projectName,
+            hostname: session.hostname,
+            ...hit
+          });
+        });
+      }
+      
+      res.json({ query, results, truncated: results.length >= limit });
+    });
+    
+    // Who sent input and commands to sessions, newest first
+    this.app.get('/api/audit', async (req, res) => {
+      if (!this.auditLog) {
+        return res.status(404).json({ error: 'Audit log is disabled (audit.enabled)' });
+      }
+      
+      const since = parseTime(req.query.since, 0);
+      const until = parseTime(req.query.until, Infinity);
+      if (Number.isNaN(since) || Number.isNaN(until)) {
+        return res.status(400).json({ error: 'Invalid since or until value' });
+      }
+      
+      try {
+        const entries = await this.auditLog.query({
+          sessionId: req.query.session,
+          type: req.query.type,
+          since,
+          until,
+          limit: Math.min(Number(req.query.limit) || 200, 1000)
+        });
+        res.json({ entries });
+      } catch (err) {
+        console.error('[Server] Error reading audit log:', err.message);
+        res.status(500).json({ error: 'Failed to read audit log' });
+      }
+    });
+    
+    // Export a session as an asciinema v2 recording
+    this.app.get('/api/session/:id/export', async (req, res) => {
+      const session = this.sessions.get(req.params.id);
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      if ((req.query.format || 'asciicast') !== 'asciicast') {
+        return res.status(400).json({ error: 'Unsupported export format' });
+      }
+      
+      const history = await this.getHistory(req.params.id);
+      const cast = historyToCast(session, history, {
+        includeInput: req.query.input === '1'
+      });
+      
+      const filename = (session.projectName || session.id).replace(/[^\w.-]/g, '_');
+      res.attachment(`${filename}.cast`);
+      res.type('application/x-asciicast');
+      res.send(cast);
+    });
+    
+    // Import an asciinema v2 recording as a read-only session
+    this.app.post('/api/sessions/import', express.text({
+      type: ['application/x-asciicast', 'text/plain'],
+      limit: '50mb'
+    }), async (req, res) => {
+      let cast;
+      try {
+        cast = parseCast(req.body);
+      } catch (err) {
+        return res.status(400).json({ error: `Invalid asciicast file: ${err.message}` });
+      }
+      
+      const entries = castToHistory(cast);
+      const sessionId = uuidv4();
+      const session = {
+        id: sessionId,
+        clientId: null,
+        projectName: req.query.name || cast.header.title || 'Imported recording',
+        projectPath: null,
+        command: cast.header.command || null,
+        args: [],
+        hostname: 'recording',
+        platform: null,
+        cols: cast.header.width,
+        rows: cast.header.height,
+        status: 'imported',
+        readOnly: true,
+        connectedAt: entries[0].timestamp,
+        lastActivity: entries[entries.length - 1].timestamp,
+        hasPrompt: false
+      };
+      
+      this.sessions.set(sessionId, session);
+      entries.forEach(entry => this.addToHistory(sessionId, entry));
+      this.historyStore.close(sessionId);
+      this.persistSession(sessionId);
+      
+      console.log(`[Server] Imported recording as session ${sessionId} (${entries.length} events)`);
+      
+      this.broadcastToWeb({
+        type: 'session_imported',
+        session: this.describeSession(session)
+      });
+      res.status(201).json(this.describeSession(session));
+    });
+    
+    // Mint an expiring link that grants a viewer or controller role on one session
+    this.app.post('/api/session/:id/share', (req, res) => {
+      const session = this.sessions.get(req.params.id);
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      
+      const { role = 'viewer' } = req.body || {};
+      if (role !== 'viewer' && role !== 'controller') {
+        return res.status(400).json({ error: 'Role must be viewer or controller' });
+      }
+      
+      const { defaultExpiryHours, maxExpiryHours } = this.config.sharing;
+      const hours = Number((req.body || {}).expiresInHours) || defaultExpiryHours;
+      if (hours <= 0 || hours > maxExpiryHours) {
+        return res.status(400).json({ error: `Expiry must be between 0 and ${maxExpiryHours} hours` });
+      }
+      
+      const token = crypto.randomBytes(24).toString('hex');
+      const share = {
+        id: uuidv4(),
+        tokenHash: hashToken(token),
+        sessionId: session.id,
+        role,
+        createdAt: Date.now(),
+        expiresAt: Date.now() + hours * 60 * 60 * 1000
+      };
+      this.shares.set(share.tokenHash, share);
+      this.saveShares();
+      
+      console.log(`[Server] Created ${role} share link for session ${session.id} (expires in ${hours}h)`);
+      
+      const { tokenHash, ...details } = share;
+      res.status(201).json({ ...details, url: `/?share=${token}` });
+    });
+    
+    this.app.get('/api/session/:id/shares', (req, res) => {
+      const shares = Array.from(this.shares.values())
+        .filter(share => share.sessionId === req.params.id && share.expiresAt > Date.now())
+        .map(({ tokenHash, ...details }) => details);
+      res.json(shares);
+    });
+    
+    this.app.delete('/api/session/:id/shares/:shareId', (req, res) => {
+      const entry = Array.from(this.shares.entries()).find(([, share]) => {
+        return share.id === req.params.shareId && share.sessionId === req.params.id;
+      });
+      if (!entry) {
+        return res.status(404).json({ error: 'Share link not found' });
+      }
+      
+      this.shares.delete(entry[0]);
+      this.saveShares();
+      this.disconnectShare(req.params.shareId);
+      
+      console.log(`[Server] Revoked share link ${req.params.shareId} for session ${req.params.id}`);
+      res.json({ success: true });
+    });
+    
+    // What the web UI may launch (empty lists mean launching is disabled)
+    this.app.get('/api/launch-options', (req, res) => {
+      const { commands, directories, env } = this.config.launch;
+      res.json({
+        enabled: commands.length > 0 && directories.length > 0,
+        commands,
+        directories: directories.map(expandHome),
+        env
+      });
+    });
+    
+    // Start a new headless wrapper session on this machine
+    this.app.post('/api/sessions', async (req, res) => {
+      const result = await this.validateLaunch(req.body || {});
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      
+      try {
+        const launched = this.launchSession(result.launch);
+        res.status(202).json(launched);
+      } catch (err) {
+        console.error('[Server] Failed to launch session:', err.message);
+        res.status(500).json({ error: 'Failed to launch session' });
+      }
+    });
+    
     this.app.post('/api/session/:id/input', (req, res) => {
       const { data } = req.body;
       const client = this.clients.get(req.params.id);
       
+      if (!this.canSendInput(req.principal, req.params.id)) {
+        return res.status(403).json({ error: 'Not allowed to send input to this session' });
+      }
       if (!client) {
         return res.status(404).json({ error: 'Session not connected' });
       }
@@ -92,6 +725,7 @@ class ShellstreamServer {
         type: 'input',
         data: data
       });
+      this.audit(req.params.id, { type: 'input', data, via: 'http' }, req.principal, describeHttpClient(req));
       
       res.json({ success: true });
     });
@@ -100,57 +734,287 @@ class ShellstreamServer {
       const { command } = req.body;
       const client = this.clients.get(req.params.id);
       
+      if (!this.canSendInput(req.principal, req.params.id)) {
+        return res.status(403).json({ error: 'Not allowed to send commands to this session' });
+      }
       if (!client) {
         return res.status(404).json({ error: 'Session not connected' });
       }
+      if (!this.hasMacro(req.params.id, command)) {
+        return res.status(400).json({ error: `Unknown command: ${command}` });
+      }
       
       // Send command to wrapper
       this.sendToWrapper(client, {
         type: 'command',
         command: command
       });
+      this.audit(req.params.id, { type: 'command', command, via: 'http' }, req.principal, describeHttpClient(req));
       
       res.json({ success: true });
     });
-  }
-
-  setupWebSocket() {
-    this.wss.on('connection', (ws, req) => {
-      const clientId = uuidv4();
-      
-      // Log compression negotiation status
-      const userAgent = req.headers['user-agent'] || 'Unknown';
-      const isFirefox = userAgent.includes('Firefox');
-      const compressionEnabled = ws.extensions && ws.extensions['permessage-deflate'];
-      
-      console.log(`[Server] New connection: ${clientId}`);
-      console.log(`[Server] Browser: ${isFirefox ? 'Firefox' : 'Other'}, Compression: ${compressionEnabled ? 'ENABLED' : 'DISABLED'}`);
-      
-      // Determine client type from URL or headers
-      const isWebClient = req.url === '/web' || req.headers['x-client-type'] === 'web';
+    
+    // Send a signal to the session's process (the wrapper reports how it ended)
+    this.app.post('/api/session/:id/kill', (req, res) => {
+      const signal = (req.body && req.body.signal) || 'SIGTERM';
+      const client = this.clients.get(req.params.id);
       
-      if (isWebClient) {
-        this.handleWebClient(ws, clientId);
-      } else {
-        this.handleWrapperClient(ws, clientId);
+      if (!this.sessions.has(req.params.id)) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      if (!KILL_SIGNALS.includes(signal)) {
+        return res.status(400).json({ error: `Signal must be one of ${KILL_SIGNALS.join(', ')}` });
+      }
+      if (!client) {
+        return res.status(404).json({ error: 'Session not connected' });
       }
       
-      ws.on('close', () => {
-        this.handleDisconnect(clientId, isWebClient);
-      });
+      this.sendToWrapper(client, { type: 'kill', signal });
+      this.audit(req.params.id, { type: 'kill', signal, via: 'http' }, req.principal, describeHttpClient(req));
       
-      ws.on('error', (err) => {
-        console.error(`[Server] WebSocket error for ${clientId}:`, err.message);
-      });
+      console.log(`[Server] Sent ${signal} to session ${req.params.id}`);
+      res.json({ success: true });
+    });
+    
+    // Run the session's command again in the same directory, as a headless
+    // session with the same id. A running process is stopped first.
+    this.app.post('/api/session/:id/restart', async (req, res) => {
+      const session = this.sessions.get(req.params.id);
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      if (session.status === 'imported' || !session.command) {
+        return res.status(400).json({ error: 'Imported recordings cannot be restarted' });
+      }
+      if (session.relay || session.hostname !== require('os').hostname()) {
+        return res.status(409).json({ error: 'Session runs on another machine' });
+      }
+      if (this.pendingRestarts.has(session.id)) {
+        return res.status(409).json({ error: 'Restart already in progress' });
+      }
+      try {
+        if (!(await fs.stat(session.projectPath)).isDirectory()) {
+          return res.status(400).json({ error: 'Not a directory' });
+        }
+      } catch {
+        return res.status(400).json({ error: 'Directory not found' });
+      }
+      
+      const launch = {
+        sessionId: session.id,
+        command: session.command,
+        args: session.args || [],
+        cwd: session.projectPath,
+        env: {},
+        name: session.projectName,
+        cols: session.cols || 80,
+        rows: session.rows || 24
+      };
+      this.audit(session.id, { type: 'restart', via: 'http' }, req.principal, describeHttpClient(req));
+      
+      const client = this.clients.get(session.id);
+      if (client) {
+        // Launched when the wrapper disconnects (see handleDisconnect)
+        this.pendingRestarts.set(session.id, {
+          launch,
+          timer: setTimeout(() => this.escalateRestart(session.id), RESTART_STOP_TIMEOUT)
+        });
+        this.sendToWrapper(client, { type: 'kill', signal: 'SIGTERM' });
+        console.log(`[Server] Restarting session ${session.id} once it has stopped`);
+        return res.status(202).json({ id: session.id, stopping: true });
+      }
+      
+      try {
+        res.status(202).json(this.launchSession(launch));
+      } catch (err) {
+        console.error('[Server] Failed to restart session:', err.message);
+        res.status(500).json({ error: 'Failed to restart session' });
+      }
+    });
+    
+    // Archive a finished session: it leaves the session list and its history
+    // is moved aside (see history.archiveAfterHours for doing this automatically)
+    this.app.delete('/api/session/:id', async (req, res) => {
+      if (!this.sessions.has(req.params.id)) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      if (this.clients.has(req.params.id)) {
+        return res.status(409).json({ error: 'Session is still connected; kill it first' });
+      }
+      
+      this.audit(req.params.id, { type: 'archive', via: 'http' }, req.principal, describeHttpClient(req));
+      try {
+        await this.archiveSession(req.params.id);
+        res.json({ success: true });
+      } catch (err) {
+        console.error(`[Server] Error archiving session ${req.params.id}:`, err.message);
+        res.status(500).json({ error: 'Failed to archive session' });
+      }
+    });
+  }
+
+  // Check a launch request against the launch allow-lists
+  async validateLaunch(body) {
+    const { commands, directories, env: allowedEnv } = this.config.launch;
+    if (commands.length === 0 || directories.length === 0) {
+      return { status: 403, error: 'Launching sessions is disabled in the server config' };
+    }
+    
+    const { command, args = [], cwd, env = {}, name, cols, rows } = body;
+    if (typeof command !== 'string' || !command) {
+      return { status: 400, error: 'Command required' };
+    }
+    if (!Array.isArray(args) || !args.every(arg => typeof arg === 'string')) {
+      return { status: 400, error: 'Arguments must be an array of strings' };
+    }
+    if (typeof cwd !== 'string' || !cwd) {
+      return { status: 400, error: 'Directory required' };
+    }
+    if (!env || typeof env !== 'object' || Array.isArray(env) ||
+        !Object.values(env).every(value => typeof value === 'string')) {
+      return { status: 400, error: 'Environment must map names to strings' };
+    }
+    
+    const commandLine = [command, ...args].join(' ');
+    const commandAllowed = commands.some(entry => {
+      return /\s/.test(entry.trim()) ? entry.trim() === commandLine : entry === command;
+    });
+    if (!commandAllowed) {
+      return { status: 403, error: `Command not allowed: ${command}` };
+    }
+    
+    const deniedEnv = Object.keys(env).filter(key => !allowedEnv.includes(key));
+    if (deniedEnv.length > 0) {
+      return { status: 403, error: `Environment variables not allowed: ${deniedEnv.join(', ')}` };
+    }
+    
+    // Compare real paths so symlinks and ".." cannot leave the allowed directories
+    let realCwd;
+    try {
+      realCwd = await fs.realpath(path.resolve(expandHome(cwd)));
+      if (!(await fs.stat(realCwd)).isDirectory()) {
+        return { status: 400, error: 'Not a directory' };
+      }
+    } catch {
+      return { status: 400, error: 'Directory not found' };
+    }
+    
+    let directoryAllowed = false;
+    for (const dir of directories) {
+      try {
+        const realDir = await fs.realpath(expandHome(dir));
+        if (realCwd === realDir || realCwd.startsWith(realDir + path.sep)) {
+          directoryAllowed = true;
+          break;
+        }
+      } catch {
+        // Configured directory does not exist
+      }
+    }
+    if (!directoryAllowed) {
+      return { status: 403, error: 'Directory not allowed' };
+    }
+    
+    return {
+      launch: {
+        command,
+        args,
+        cwd: realCwd,
+        env,
+        name: typeof name === 'string' && name.trim() ? name.trim() : null,
+        cols: Number.isInteger(cols) && cols > 0 && cols <= 500 ? cols : 80,
+        rows: Number.isInteger(rows) && rows > 0 && rows <= 200 ? rows : 24
+      }
+    };
+  }
+
+  // Spawn a detached headless wrapper that connects back to this server.
+  // A restart passes the id of the session it replaces.
+  launchSession({ sessionId = uuidv4(), command, args, cwd, env, name, cols, rows }) {
+    const logDir = path.join(getDataDir(this.config), 'launched');
+    require('fs').mkdirSync(logDir, { recursive: true, mode: 0o700 });
+    const logFd = require('fs').openSync(path.join(logDir, `${sessionId}.log`), 'a', 0o600);
+    const connectHost = ['0.0.0.0', '::'].includes(this.host) ? 'localhost' : this.host;
+    
+    const child = spawn(process.execPath, [
+      path.join(__dirname, 'shellstream.js'),
+      '--headless',
+      '--size', `${cols}x${rows}`,
+      command,
+      ...args
+    ], {
+      cwd,
+      detached: true,
+      stdio: ['ignore', logFd, logFd],
+      env: {
+        ...process.env,
+        ...env,
+        MONITOR_SESSION_ID: sessionId,
+        MONITOR_NAME: name || '',
+        SHELLSTREAM_PORT: String(this.port),
+        SHELLSTREAM_SERVER: `${this.tlsEnabled ? 'wss' : 'ws'}://${connectHost}:${this.port}`,
+        SHELLSTREAM_TOKEN: this.authToken
+      }
+    });
+    require('fs').closeSync(logFd);
+    child.unref();
+    
+    this.launchedProcesses.set(sessionId, child);
+    child.on('exit', (code, signal) => {
+      this.launchedProcesses.delete(sessionId);
+      if (!this.sessions.has(sessionId)) {
+        console.error(`[Server] Launched session ${sessionId} exited before registering (code: ${code}, signal: ${signal})`);
+      }
+    });
+    
+    console.log(`[Server] Launched session ${sessionId}: ${[command, ...args].join(' ')} in ${cwd} (pid ${child.pid})`);
+    return { id: sessionId, pid: child.pid };
+  }
+
+  setupWebSocket() {
+    this.wss.on('connection', (ws, req) => {
+      const clientId = uuidv4();
+      
+      // Log compression negotiation status
+      const userAgent = req.headers['user-agent'] || 'Unknown';
+      const isFirefox = userAgent.includes('Firefox');
+      const compressionEnabled = ws.extensions && ws.extensions['permessage-deflate'];
+      
+      console.log(`[Server] New connection: ${clientId}`);
+      console.log(`[Server] Browser: ${isFirefox ? 'Firefox' : 'Other'}, Compression: ${compressionEnabled ? 'ENABLED' : 'DISABLED'}`);
+      
+      // Determine client type from URL or headers
+      const isWebClient = req.url === '/web' || req.headers['x-client-type'] === 'web';
+      const principal = req.principal || { role: 'owner' };
+      
+      if (isWebClient) {
+        this.handleWebClient(ws, clientId, principal, req);
+      } else if (principal.role !== 'owner') {
+        // Share links cannot register sessions
+        console.log(`[Server] Rejected wrapper connection with a share link: ${clientId}`);
+        ws.close(1008, 'Owner token required');
+        return;
+      } else {
+        this.handleWrapperClient(ws, clientId);
+      }
+      
+      ws.on('close', () => {
+        this.handleDisconnect(clientId, isWebClient);
+      });
+      
+      ws.on('error', (err) => {
+        console.error(`[Server] WebSocket error for ${clientId}:`, err.message);
+      });
     });
   }
 
   handleWrapperClient(ws, clientId) {
     console.log(`[Server] Wrapper client connected: ${clientId}`);
     
-    ws.on('message', (message) => {
+    ws.on('message', (message, isBinary) => {
       try {
-        const msg = JSON.parse(message);
+        // Binary frames are output from wrappers that negotiated them
+        const msg = isBinary ? decodeFrame(message) : JSON.parse(message);
         this.handleWrapperMessage(ws, clientId, msg);
       } catch (err) {
         console.error('[Server] Error parsing wrapper message:', err);
@@ -158,19 +1022,34 @@ class ShellstreamServer {
     });
   }
 
-  handleWebClient(ws, clientId) {
-    console.log(`[Server] Web client connected: ${clientId}`);
+  handleWebClient(ws, clientId, principal, req) {
+    console.log(`[Server] Web client connected: ${clientId} (${principal.role})`);
     
     this.webClients.add({
       id: clientId,
       ws: ws,
-      subscribedSessions: new Set()
+      principal: principal,
+      // Identity for the audit log; name is what the user gave when asking for the keyboard
+      address: req.socket.remoteAddress,
+      userAgent: req.headers['user-agent'] || null,
+      name: null,
+      subscribedSessions: new Set(),
+      // Live messages held back until the session's snapshot has been sent
+      pendingSnapshots: new Map(),
+      // Binary output frames once the client has asked for them (0 = JSON)
+      protocol: 0,
+      // Sessions whose output is paused until the client catches up
+      lagging: new Set(),
+      drainTimer: null,
+      // Directory the client gets file change events for, as it asked for it
+      watchPath: null,
+      watchedDirectory: null
     });
     
     // Send initial session list
     ws.send(JSON.stringify({
       type: 'sessions',
-      data: Array.from(this.sessions.values())
+      data: this.visibleSessions(principal).map(session => this.describeSession(session))
     }));
     
     ws.on('message', (message) => {
@@ -186,56 +1065,87 @@ class ShellstreamServer {
   handleWrapperMessage(ws, clientId, msg) {
     const sessionId = msg.sessionId;
     
+    if (this.relay && sessionId) {
+      this.relay.forward(sessionId, msg);
+    }
+    
     switch (msg.type) {
       case 'register':
-        // Register new session
+        // Register new session (or the same session coming back after a dropped connection)
+        const previousSession = this.sessions.get(sessionId);
+        const reconnected = Boolean(previousSession) && previousSession.state === 'disconnected';
+        // Sequence numbers restart when a new wrapper process takes over the session id
+        const sameStream = Boolean(previousSession && msg.streamId) && previousSession.streamId === msg.streamId;
         this.sessions.set(sessionId, {
           id: sessionId,
           clientId: clientId,
           projectName: msg.projectName,
           projectPath: msg.projectPath,
+          command: msg.command,
+          args: msg.args,
           hostname: msg.hostname,
           platform: msg.platform,
           cols: msg.cols,
           rows: msg.rows,
           status: 'active',
+          headless: Boolean(msg.headless),
+          allowRemoteInput: msg.allowRemoteInput !== false,
+          macros: sanitizeMacros(msg.macros),
+          // Set from the API, so they outlive the wrapper connection. The
+          // wrapper's --name and --tag only apply to a new session.
+          triggers: (previousSession && previousSession.triggers) || [],
+          displayName: previousSession ? previousSession.displayName || null : sanitizeDisplayName(msg.displayName),
+          tags: previousSession ? previousSession.tags || [] : sanitizeTags(msg.tags),
+          note: previousSession ? previousSession.note || '' : '',
+          launched: this.launchedProcesses.has(sessionId),
           connectedAt: Date.now(),
           lastActivity: Date.now(),
-          hasPrompt: false
+          hasPrompt: false,
+          relay: msg.relay || null,
+          startedAt: msg.startedAt || (reconnected && previousSession.startedAt) || Date.now(),
+          endedAt: null,
+          exitCode: null,
+          signal: null,
+          reconnects: reconnected ? (previousSession.reconnects || 0) + 1 : 0,
+          streamId: msg.streamId || null,
+          lastSeq: sameStream ? previousSession.lastSeq : 0,
+          // A local lock is the wrapper's to report; a web holder survives a reconnect
+          inputControl: msg.inputLocked
+            ? { mode: 'local', holder: null }
+            : (sameStream && previousSession.inputControl && previousSession.inputControl.mode === 'holder'
+              ? previousSession.inputControl
+              : { mode: 'shared', holder: null })
         });
         
         this.clients.set(sessionId, ws);
+        this.setLifecycle(sessionId, reconnected ? 'reconnected' : 'running');
+        
+        // Record the initial size so recordings and replays start correctly
+        this.addToHistory(sessionId, {
+          type: 'resize',
+          cols: msg.cols,
+          rows: msg.rows,
+          timestamp: Date.now()
+        });
+        this.openScreen(sessionId);
+        
+        // Tell the wrapper how much of its output we already have; it holds
+        // live output until then and resends only the gap
+        this.resolveLastSeq(sessionId).then(lastSeq => {
+          this.sendToWrapper(ws, { type: 'registered', sessionId, lastSeq, protocol: PROTOCOL_VERSION });
+        });
         
         console.log(`[Server] Session registered: ${sessionId} (${msg.projectName})`);
         
         // Notify web clients
         this.broadcastToWeb({
           type: 'session_connected',
-          session: this.sessions.get(sessionId)
+          session: this.describeSession(this.sessions.get(sessionId))
         });
         break;
         
       case 'output':
-        // Store output in history
-        this.addToHistory(sessionId, {
-          type: 'output',
-          data: msg.data,
-          timestamp: msg.timestamp
-        });
-        
-        // Update last activity
-        const session = this.sessions.get(sessionId);
-        if (session) {
-          session.lastActivity = Date.now();
-        }
-        
-        // Broadcast to subscribed web clients
-        this.broadcastToSubscribers(sessionId, {
-          type: 'output',
-          sessionId: sessionId,
-          data: msg.data,
-          timestamp: msg.timestamp
-        });
+        this.handleOutput(sessionId, msg);
         break;
         
       case 'input':
@@ -262,6 +1172,12 @@ class ShellstreamServer {
         const sessionWithPrompt = this.sessions.get(sessionId);
         if (sessionWithPrompt) {
           sessionWithPrompt.hasPrompt = true;
+          sessionWithPrompt.prompt = {
+            text: msg.data,
+            rule: msg.rule,
+            reason: msg.reason,
+            timestamp: msg.timestamp
+          };
         }
         
         // Notify web clients
@@ -269,16 +1185,62 @@ class ShellstreamServer {
           type: 'prompt_detected',
           sessionId: sessionId,
           data: msg.data,
+          rule: msg.rule,
+          reason: msg.reason,
+          timestamp: msg.timestamp
+        });
+        break;
+        
+      case 'kill_failed':
+        // The wrapper could not signal its process
+        console.error(`[Server] Session ${sessionId} could not send ${msg.signal}: ${msg.error}`);
+        this.cancelRestart(sessionId);
+        this.broadcastToWeb({
+          type: 'kill_failed',
+          sessionId: sessionId,
+          signal: msg.signal,
+          error: msg.error
+        });
+        break;
+        
+      case 'prompt_cleared':
+        // The prompt was answered
+        const answeredSession = this.sessions.get(sessionId);
+        if (answeredSession) {
+          answeredSession.hasPrompt = false;
+          answeredSession.prompt = null;
+        }
+        
+        this.broadcastToWeb({
+          type: 'prompt_cleared',
+          sessionId: sessionId,
           timestamp: msg.timestamp
         });
         break;
         
       case 'history':
-        // Store historical data
+        // Output the server has not seen yet: the gap after a reconnect, or
+        // everything buffered before the first connection
         if (msg.data && Array.isArray(msg.data)) {
-          msg.data.forEach(entry => {
-            this.addToHistory(sessionId, entry);
-          });
+          const historySession = this.sessions.get(sessionId);
+          const first = msg.data.find(entry => entry.seq);
+          if (historySession && first && typeof historySession.lastSeq === 'number' && first.seq > historySession.lastSeq + 1) {
+            console.log(`[Server] Session ${sessionId} lost output ${historySession.lastSeq + 1}-${first.seq - 1} (wrapper spool overflowed)`);
+          }
+          msg.data.forEach(entry => this.handleOutput(sessionId, entry));
+        }
+        break;
+        
+      case 'control_response':
+        // The local user answered a request for the keyboard
+        this.handleControlResponse(sessionId, msg);
+        break;
+        
+      case 'input_control':
+        // The local user locked input or took the keyboard back
+        if (['local', 'shared'].includes(msg.mode)) {
+          this.setInputControl(sessionId, { mode: msg.mode, holder: null }, { notifyWrapper: false });
+          this.audit(sessionId, { type: 'control', action: msg.mode === 'local' ? 'locked' : 'shared', via: 'terminal' }, { role: 'local' }, {});
         }
         break;
         
@@ -288,10 +1250,23 @@ class ShellstreamServer {
         if (resizedSession) {
           resizedSession.cols = msg.cols;
           resizedSession.rows = msg.rows;
+          this.persistSession(sessionId);
           
           console.log(`[Server] Session ${sessionId} resized to ${msg.cols}×${msg.rows}`);
         }
         
+        this.addToHistory(sessionId, {
+          type: 'resize',
+          cols: msg.cols,
+          rows: msg.rows,
+          timestamp: msg.timestamp || Date.now()
+        });
+        
+        const resizedScreen = this.screens.get(sessionId);
+        if (resizedScreen) {
+          resizedScreen.resize(msg.cols, msg.rows);
+        }
+        
         // Broadcast resize to subscribed web clients
         this.broadcastToSubscribers(sessionId, {
           type: 'resize',
@@ -302,12 +1277,27 @@ class ShellstreamServer {
         });
         break;
         
+      case 'process_exit':
+        // The wrapped process ended; a signal means it was killed
+        const exitSignal = msg.signal || null;
+        this.setLifecycle(sessionId, exitSignal ? 'killed' : 'exited', {
+          exitCode: exitSignal ? null : msg.exitCode,
+          signal: exitSignal,
+          endedAt: msg.timestamp || Date.now(),
+          hasPrompt: false,
+          prompt: null
+        });
+        console.log(`[Server] Session ${sessionId} ${exitSignal ? `killed by ${exitSignal}` : `exited with code ${msg.exitCode}`}`);
+        break;
+        
       case 'disconnect':
         // Mark session as disconnected
         const disconnectedSession = this.sessions.get(sessionId);
         if (disconnectedSession) {
           disconnectedSession.status = 'disconnected';
+          this.markDisconnected(sessionId);
         }
+        this.closeScreen(sessionId);
         break;
         
       case 'pong':
@@ -325,18 +1315,17 @@ class ShellstreamServer {
     if (!webClient) return;
     
     switch (msg.type) {
+      case 'hello':
+        // Protocol negotiation; clients that never say hello get JSON
+        webClient.protocol = negotiateProtocol(msg.protocols);
+        this.sendToWeb(webClient, { type: 'hello', protocol: webClient.protocol });
+        break;
+        
       case 'subscribe':
-        // Subscribe to session updates
-        if (msg.sessionId) {
+        // Subscribe to session updates: a screen snapshot, then live deltas
+        if (msg.sessionId && this.hasRole(webClient.principal, msg.sessionId, 'viewer')) {
           webClient.subscribedSessions.add(msg.sessionId);
-          
-          // Send current history
-          const history = this.sessionHistory.get(msg.sessionId) || [];
-          ws.send(JSON.stringify({
-            type: 'history',
-            sessionId: msg.sessionId,
-            data: history
-          }));
+          this.sendSnapshot(webClient, msg.sessionId);
         }
         break;
         
@@ -344,277 +1333,1570 @@ class ShellstreamServer {
         // Unsubscribe from session
         if (msg.sessionId) {
           webClient.subscribedSessions.delete(msg.sessionId);
+          webClient.pendingSnapshots.delete(msg.sessionId);
+          webClient.lagging.delete(msg.sessionId);
         }
         break;
         
       case 'input':
         // Forward input to wrapper
-        if (msg.sessionId) {
+        if (msg.sessionId && this.canSendInput(webClient.principal, msg.sessionId, clientId)) {
           const wrapperClient = this.clients.get(msg.sessionId);
           if (wrapperClient) {
             this.sendToWrapper(wrapperClient, {
               type: 'input',
               data: msg.data
             });
+            this.audit(msg.sessionId, { type: 'input', data: msg.data, via: 'websocket' }, webClient.principal, webClient);
           }
         }
         break;
         
       case 'command':
         // Forward command to wrapper
-        if (msg.sessionId) {
+        if (msg.sessionId && this.canSendInput(webClient.principal, msg.sessionId, clientId) &&
+            this.hasMacro(msg.sessionId, msg.command)) {
           const wrapperClient = this.clients.get(msg.sessionId);
           if (wrapperClient) {
             this.sendToWrapper(wrapperClient, {
               type: 'command',
               command: msg.command
             });
+            this.audit(msg.sessionId, { type: 'command', command: msg.command, via: 'websocket' }, webClient.principal, webClient);
           }
         }
         break;
+        
+      case 'request_control':
+        if (msg.sessionId && this.hasRole(webClient.principal, msg.sessionId, 'viewer')) {
+          this.requestControl(webClient, msg.sessionId, msg.name);
+        }
+        break;
+        
+      case 'release_control': {
+        const session = this.sessions.get(msg.sessionId);
+        if (session && session.inputControl.mode === 'holder' && session.inputControl.holder.id === clientId) {
+          this.setInputControl(msg.sessionId, { mode: 'shared', holder: null });
+          this.audit(msg.sessionId, { type: 'control', action: 'released' }, webClient.principal, webClient);
+        }
+        break;
+      }
+        
+      case 'set_input_control':
+        // Owners can lock input to the local terminal or open it to everyone again
+        if (msg.sessionId && this.hasRole(webClient.principal, msg.sessionId, 'owner') &&
+            ['local', 'shared'].includes(msg.mode) && this.sessions.has(msg.sessionId)) {
+          this.setInputControl(msg.sessionId, { mode: msg.mode, holder: null });
+          this.audit(msg.sessionId, { type: 'control', action: msg.mode === 'local' ? 'locked' : 'shared' }, webClient.principal, webClient);
+        }
+        break;
+        
+      case 'watch_files':
+        // One watched directory per client; asking again replaces it
+        this.watchFiles(webClient, msg.path);
+        break;
+        
+      case 'unwatch_files':
+        this.unwatchFiles(webClient);
+        break;
     }
   }
 
-  handleDisconnect(clientId, isWebClient) {
-    if (isWebClient) {
-      // Remove web client
-      this.webClients = new Set(
-        Array.from(this.webClients).filter(c => c.id !== clientId)
-      );
-      console.log(`[Server] Web client disconnected: ${clientId}`);
-    } else {
-      // Find and update session status
-      for (const [sessionId, session] of this.sessions) {
-        if (session.clientId === clientId) {
-          session.status = 'disconnected';
-          this.clients.delete(sessionId);
-          
-          console.log(`[Server] Wrapper disconnected: ${sessionId}`);
-          
-          // Notify web clients
-          this.broadcastToWeb({
-            type: 'session_disconnected',
-            sessionId: sessionId
-          });
-          break;
+  // Push file_changed, tree_changed and git_status_changed for a project
+  // directory of a running session. Answers { type: 'watch_files', path,
+  // watching } so the client knows whether it still has to poll.
+  async watchFiles(webClient, requestedPath) {
+    this.unwatchFiles(webClient);
+    const respond = (watching, reason) => this.sendToWeb(webClient, {
+      type: 'watch_files', path: requestedPath, watching, reason
+    });
+    
+    if (!requestedPath) return respond(false, 'No path');
+    if (webClient.principal.role !== 'owner') return respond(false, 'Owner access required');
+    
+    let directory;
+    try {
+      ({ path: directory } = await this.fileBrowser.resolvePath(requestedPath, {
+        roots: this.localProjectPaths({ connectedOnly: true })
+      }));
+      if (!(await fs.stat(directory)).isDirectory()) {
+        return respond(false, 'Not a directory');
+      }
+    } catch (err) {
+      return respond(false, err.message);
+    }
+    
+    // The client may have gone, or asked for something else, meanwhile
+    if (!this.webClients.has(webClient)) return;
+    this.unwatchFiles(webClient);
+    
+    let entry = this.fileWatchers.get(directory);
+    if (!entry) {
+      entry = { watcher: null, clients: new Set() };
+      entry.watcher = new DirectoryWatcher(directory, {
+        onChange: (change) => this.handleFileChange(entry, change)
+      });
+      entry.watcher.start().catch(err => {
+        console.error(`[Server] Error watching ${directory}:`, err.message);
+      });
+      this.fileWatchers.set(directory, entry);
+      console.log(`[Server] Watching ${directory}`);
+    }
+    
+    entry.clients.add(webClient);
+    webClient.watchPath = requestedPath;
+    webClient.watchedDirectory = directory;
+    respond(true);
+  }
+
+  unwatchFiles(webClient) {
+    const entry = this.fileWatchers.get(webClient.watchedDirectory);
+    webClient.watchPath = null;
+    webClient.watchedDirectory = null;
+    if (!entry) return;
+    
+    entry.clients.delete(webClient);
+    if (entry.clients.size === 0) {
+      this.closeFileWatcher(entry.watcher.root);
+    }
+  }
+
+  closeFileWatcher(directory) {
+    const entry = this.fileWatchers.get(directory);
+    if (!entry) return;
+    
+    entry.watcher.close();
+    this.fileWatchers.delete(directory);
+    console.log(`[Server] Stopped watching ${directory}`);
+  }
+
+  // Each client hears about the change under the path it asked to watch
+  handleFileChange(entry, { files, treeChanged, gitChanged }) {
+    entry.clients.forEach(client => {
+      const path = client.watchPath;
+      if (treeChanged) {
+        this.sendToWeb(client, { type: 'tree_changed', path });
+      }
+      if (files.length > 0) {
+        this.sendToWeb(client, { type: 'file_changed', path, files });
+      }
+      if (gitChanged) {
+        this.sendToWeb(client, { type: 'git_status_changed', path });
+      }
+    });
+  }
+
+  // Once no running session uses a directory any more, its watcher goes and
+  // its clients fall back to polling
+  async pruneFileWatchers() {
+    const roots = await Promise.all(this.localProjectPaths({ connectedOnly: true })
+      .map(root => fs.realpath(root).catch(() => root)));
+    
+    Array.from(this.fileWatchers.entries())
+      .filter(([directory]) => !roots.some(root => isInside(directory, root)))
+      .forEach(([directory, entry]) => {
+        entry.clients.forEach(client => {
+          this.sendToWeb(client, { type: 'watch_files', path: client.watchPath, watching: false, reason: 'Session disconnected' });
+          client.watchPath = null;
+          client.watchedDirectory = null;
+        });
+        this.closeFileWatcher(directory);
+      });
+  }
+
+  // Ask the person at the terminal to hand the keyboard to a web client.
+  // Headless sessions have nobody to ask: controllers get it, viewers don't.
+  requestControl(webClient, sessionId, name) {
+    const session = this.sessions.get(sessionId);
+    const wrapperClient = this.clients.get(sessionId);
+    const respond = (granted, reason) => this.sendToWeb(webClient, {
+      type: 'control_response', sessionId, granted, reason
+    });
+    
+    if (!session || !wrapperClient) {
+      return respond(false, 'Session is not connected');
+    }
+    if (session.allowRemoteInput === false) {
+      return respond(false, 'Remote input is disabled for this session');
+    }
+    if (session.inputControl.mode === 'local') {
+      return respond(false, 'Input is locked to the local terminal');
+    }
+    
+    if (name) {
+      webClient.name = String(name).trim().slice(0, 40) || null;
+    }
+    const requester = {
+      id: webClient.id,
+      name: webClient.name || (webClient.principal.role === 'owner' ? 'Owner' : `Guest ${webClient.id.slice(0, 4)}`),
+      role: webClient.principal.role
+    };
+    
+    if (session.headless) {
+      if (!this.hasRole(webClient.principal, sessionId, 'controller')) {
+        return respond(false, 'Nobody is at this terminal to approve the request');
+      }
+      this.setInputControl(sessionId, { mode: 'holder', holder: requester });
+      this.audit(sessionId, { type: 'control', action: 'granted' }, webClient.principal, webClient);
+      return respond(true);
+    }
+    
+    const requestId = uuidv4();
+    this.controlRequests.set(requestId, { sessionId, requester, webClient });
+    this.sendToWrapper(wrapperClient, {
+      type: 'control_request',
+      requestId,
+      requester: { name: requester.name, role: requester.role }
+    });
+  }
+
+  handleControlResponse(sessionId, msg) {
+    const request = this.controlRequests.get(msg.requestId);
+    if (!request || request.sessionId !== sessionId) return;
+    this.controlRequests.delete(msg.requestId);
+    
+    // The requester may have left while the local user was deciding
+    const stillConnected = this.webClients.has(request.webClient);
+    if (msg.granted && stillConnected) {
+      this.setInputControl(sessionId, { mode: 'holder', holder: request.requester });
+      this.audit(sessionId, { type: 'control', action: 'granted' }, request.webClient.principal, request.webClient);
+    }
+    this.sendToWeb(request.webClient, {
+      type: 'control_response',
+      sessionId,
+      granted: Boolean(msg.granted) && stillConnected,
+      reason: msg.granted ? undefined : (msg.reason || 'Request declined at the terminal')
+    });
+  }
+
+  // Update who may type, tell the wrapper (so the local user knows) and
+  // every web client watching the session
+  setInputControl(sessionId, control, { notifyWrapper = true } = {}) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return;
+    
+    session.inputControl = control;
+    const holder = control.holder ? { name: control.holder.name, role: control.holder.role } : null;
+    
+    const wrapperClient = this.clients.get(sessionId);
+    if (notifyWrapper && wrapperClient) {
+      this.sendToWrapper(wrapperClient, { type: 'input_control', mode: control.mode, holder });
+    }
+    
+    this.webClients.forEach(client => {
+      if (this.hasRole(client.principal, sessionId, 'viewer')) {
+        this.sendToWeb(client, {
+          type: 'input_control',
+          sessionId,
+          mode: control.mode,
+          holder,
+          youHold: Boolean(control.holder) && control.holder.id === client.id
+        });
+      }
+    });
+  }
+
+  // Carry out a trigger's actions for a matching line of output
+  fireTrigger(sessionId, rule, match) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return;
+    
+    const event = {
+      trigger: rule.name,
+      triggerId: rule.id,
+      sessionId,
+      projectName: session.projectName,
+      hostname: session.hostname,
+      line: match.line,
+      groups: match.groups,
+      timestamp: match.timestamp
+    };
+    console.log(`[Server] Trigger "${rule.name}" fired in session ${sessionId}`);
+    
+    rule.actions.forEach(action => {
+      switch (action.type) {
+        case 'webhook':
+          postWebhook(action, event).catch(err => {
+            console.error(`[Server] Webhook for trigger "${rule.name}" failed: ${err.message}`);
+          });
+          break;
+          
+        case 'notify':
+          this.broadcastToWeb({
+            type: 'trigger_fired',
+            ...event,
+            message: formatMessage(action.message, event),
+            level: action.level
+          });
+          break;
+          
+        case 'tag':
+          this.addTag(sessionId, action.tag);
+          break;
+          
+        case 'macro': {
+          // Automation is remote input too: it respects the session's input settings
+          const wrapperClient = this.clients.get(sessionId);
+          const control = session.inputControl || { mode: 'shared' };
+          if (!wrapperClient || session.allowRemoteInput === false || control.mode === 'local') {
+            console.log(`[Server] Trigger "${rule.name}" did not run ${action.macro}: remote input is not allowed`);
+          } else if (!this.hasMacro(sessionId, action.macro)) {
+            console.error(`[Server] Trigger "${rule.name}" refers to unknown macro ${action.macro}`);
+          } else {
+            this.sendToWrapper(wrapperClient, { type: 'command', command: action.macro });
+            this.audit(sessionId, { type: 'command', command: action.macro, via: 'trigger', trigger: rule.name }, { role: 'trigger' }, {});
+          }
+          break;
+        }
+      }
+    });
+  }
+
+  addTag(sessionId, tag) {
+    const session = this.sessions.get(sessionId);
+    if (!session || (session.tags || []).includes(tag)) return;
+    
+    session.tags = sanitizeTags([...(session.tags || []), tag]);
+    this.persistSession(sessionId);
+    this.broadcastToWeb({ type: 'session_updated', sessionId, changes: { tags: session.tags } });
+  }
+
+  // Record who did something to a session. `client` is a web client or the
+  // HTTP request's address and user agent.
+  audit(sessionId, entry, principal, client) {
+    if (!this.auditLog) return;
+    
+    const session = this.sessions.get(sessionId);
+    const record = {
+      ...entry,
+      ...(entry.type === 'input' && this.isPasswordInput(session, entry.data) ? { data: '', redacted: true } : {}),
+      sessionId,
+      projectName: session ? session.projectName : null,
+      actor: {
+        role: principal.role,
+        shareId: principal.shareId || null,
+        clientId: client.id || null,
+        name: client.name || null,
+        address: client.address || null,
+        userAgent: client.userAgent || null
+      }
+    };
+    
+    if (entry.type === 'input' && (entry.via === 'websocket' || entry.via === 'relay')) {
+      this.auditLog.recordInput(record);
+    } else {
+      this.auditLog.record(record);
+    }
+  }
+
+  // Whether input answers a password prompt, so must not be logged. The
+  // wrapper clears the prompt on the first keystroke, so the rest of the line
+  // is recognised by the session's redactInput flag, cleared on Enter.
+  isPasswordInput(session, data) {
+    if (!session) return false;
+    if (session.prompt && session.prompt.rule === 'password') {
+      session.redactInput = true;
+    }
+    const redact = Boolean(session.redactInput);
+    if (/[\r\n]/.test(data)) {
+      session.redactInput = false;
+    }
+    return redact;
+  }
+
+  // File changes from the web UI are not tied to a session
+  auditFile(action, filePath, req, details = {}) {
+    this.audit(null, { type: 'file', action, path: filePath, ...details, via: 'http' },
+      req.principal, describeHttpClient(req));
+  }
+
+  auditGit(action, directory, req, details = {}) {
+    this.audit(null, { type: 'git', action, path: directory, ...details, via: 'http' },
+      req.principal, describeHttpClient(req));
+  }
+
+  sendToWeb(webClient, message) {
+    if (webClient.ws.readyState === webClient.ws.OPEN) {
+      webClient.ws.send(JSON.stringify(message));
+    }
+  }
+
+  handleDisconnect(clientId, isWebClient) {
+    if (isWebClient) {
+      // Remove web client
+      this.webClients.forEach(c => {
+        if (c.id !== clientId) return;
+        clearInterval(c.drainTimer);
+        this.unwatchFiles(c);
+      });
+      this.webClients = new Set(
+        Array.from(this.webClients).filter(c => c.id !== clientId)
+      );
+      console.log(`[Server] Web client disconnected: ${clientId}`);
+      
+      // A departing keyboard holder hands input back to everyone
+      this.sessions.forEach((session, sessionId) => {
+        const control = session.inputControl;
+        if (control && control.mode === 'holder' && control.holder.id === clientId) {
+          this.setInputControl(sessionId, { mode: 'shared', holder: null });
+        }
+      });
+    } else {
+      // Find and update session status
+      for (const [sessionId, session] of this.sessions) {
+        if (session.clientId === clientId) {
+          session.status = 'disconnected';
+          this.clients.delete(sessionId);
+          this.markDisconnected(sessionId);
+          this.historyStore.close(sessionId);
+          this.closeScreen(sessionId);
+          this.triggers.close(sessionId);
+          if (this.relay) {
+            this.relay.close(sessionId);
+          }
+          
+          // Nobody is left to answer requests for the keyboard
+          this.controlRequests.forEach((request, requestId) => {
+            if (request.sessionId === sessionId) {
+              this.handleControlResponse(sessionId, { requestId, granted: false, reason: 'Session disconnected' });
+            }
+          });
+          
+          this.pruneFileWatchers();
+          
+          console.log(`[Server] Wrapper disconnected: ${sessionId}`);
+          
+          // Notify web clients
+          this.broadcastToWeb({
+            type: 'session_disconnected',
+            sessionId: sessionId
+          });
+          
+          const restart = this.pendingRestarts.get(sessionId);
+          if (restart) {
+            this.cancelRestart(sessionId);
+            try {
+              this.launchSession(restart.launch);
+            } catch (err) {
+              console.error(`[Server] Failed to restart session ${sessionId}:`, err.message);
+            }
+          }
+          break;
+        }
+      }
+    }
+  }
+
+  // A process that ignores SIGTERM gets SIGKILL; if the wrapper still hasn't
+  // gone after that, the restart is given up
+  escalateRestart(sessionId) {
+    const restart = this.pendingRestarts.get(sessionId);
+    const client = this.clients.get(sessionId);
+    if (!restart) return;
+    
+    if (client && !restart.killed) {
+      console.log(`[Server] Session ${sessionId} did not stop for its restart; sending SIGKILL`);
+      restart.killed = true;
+      restart.timer = setTimeout(() => this.escalateRestart(sessionId), RESTART_STOP_TIMEOUT);
+      this.sendToWrapper(client, { type: 'kill', signal: 'SIGKILL' });
+      return;
+    }
+    
+    console.error(`[Server] Gave up restarting session ${sessionId}: it did not stop`);
+    this.cancelRestart(sessionId);
+  }
+
+  cancelRestart(sessionId) {
+    const restart = this.pendingRestarts.get(sessionId);
+    if (restart) {
+      clearTimeout(restart.timer);
+      this.pendingRestarts.delete(sessionId);
+    }
+  }
+
+  createRelay(options) {
+    const upstream = options.upstream || process.env.SHELLSTREAM_UPSTREAM || this.config.relay.upstream;
+    if (!upstream) return null;
+    
+    const token = process.env.SHELLSTREAM_UPSTREAM_TOKEN || this.config.relay.token;
+    if (!token) {
+      console.error('[Server] Relay disabled: set relay.token (or SHELLSTREAM_UPSTREAM_TOKEN) to the hub\'s access token');
+      return null;
+    }
+    
+    return new Relay({
+      url: upstream,
+      token: token,
+      tlsFingerprint: process.env.SHELLSTREAM_UPSTREAM_FINGERPRINT || this.config.relay.tlsFingerprint,
+      maxReconnectDelay: this.config.relay.maxReconnectDelaySeconds * 1000,
+      readHistory: (sessionId) => this.getHistory(sessionId),
+      getSession: (sessionId) => this.sessions.get(sessionId),
+      deliver: (sessionId, message) => this.handleHubMessage(sessionId, message)
+    });
+  }
+
+  // Input, commands and signals from the hub a session is relayed to. The hub
+  // acts with relay.hubRole and is held to the same input control and audit
+  // as a local web client.
+  handleHubMessage(sessionId, msg) {
+    const client = this.clients.get(sessionId);
+    if (!client) return;
+    
+    const role = ROLES.includes(this.config.relay.hubRole) ? this.config.relay.hubRole : 'controller';
+    const principal = { role, sessionId, expiresAt: Infinity };
+    const hub = { id: 'hub', name: 'Hub', address: this.relay.url };
+    
+    switch (msg.type) {
+      case 'input':
+        if (typeof msg.data === 'string' && this.canSendInput(principal, sessionId)) {
+          this.sendToWrapper(client, { type: 'input', data: msg.data });
+          this.audit(sessionId, { type: 'input', data: msg.data, via: 'relay' }, principal, hub);
+        }
+        break;
+        
+      case 'command':
+        if (this.canSendInput(principal, sessionId) && this.hasMacro(sessionId, msg.command)) {
+          this.sendToWrapper(client, { type: 'command', command: msg.command });
+          this.audit(sessionId, { type: 'command', command: msg.command, via: 'relay' }, principal, hub);
+        }
+        break;
+        
+      case 'kill':
+        if (this.hasRole(principal, sessionId, 'owner') && KILL_SIGNALS.includes(msg.signal)) {
+          this.sendToWrapper(client, { type: 'kill', signal: msg.signal });
+          this.audit(sessionId, { type: 'kill', signal: msg.signal, via: 'relay' }, principal, hub);
+        }
+        break;
+        
+      case 'request_history':
+        this.sendToWrapper(client, { type: 'request_history' });
+        break;
+    }
+  }
+
+  sendToWrapper(ws, message) {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  }
+
+  broadcastToWeb(message) {
+    const sessionId = message.sessionId || (message.session && message.session.id);
+    this.webClients.forEach(client => {
+      if (client.ws.readyState !== client.ws.OPEN) return;
+      // Share link holders only hear about their own session
+      if (sessionId && !this.hasRole(client.principal, sessionId, 'viewer')) return;
+      client.ws.send(JSON.stringify(message));
+    });
+  }
+
+  visibleSessions(principal) {
+    return Array.from(this.sessions.values())
+      .filter(session => this.hasRole(principal, session.id, 'viewer'));
+  }
+
+  // The message is encoded at most once per format, however many clients
+  // are subscribed
+  broadcastToSubscribers(sessionId, message) {
+    const encoded = {};
+    this.webClients.forEach(client => {
+      if (!client.subscribedSessions.has(sessionId) ||
+          client.ws.readyState !== client.ws.OPEN) {
+        return;
+      }
+      
+      const pending = client.pendingSnapshots.get(sessionId);
+      if (pending) {
+        pending.push(message);
+        return;
+      }
+      
+      if (message.type === 'output') {
+        if (client.lagging.has(sessionId)) return;
+        if (client.ws.bufferedAmount > this.backpressureBytes) {
+          this.pauseOutput(client, sessionId);
+          return;
+        }
+      }
+      this.sendToSubscriber(client, message, encoded);
+    });
+  }
+  
+  // Output goes out as a binary frame to clients that negotiated one
+  sendToSubscriber(client, message, encoded = {}) {
+    if (message.type === 'output' && client.protocol) {
+      encoded.frame = encoded.frame || encodeOutputFrame(message);
+      client.ws.send(encoded.frame);
+    } else {
+      encoded.json = encoded.json || JSON.stringify(message);
+      client.ws.send(encoded.json);
+    }
+  }
+  
+  // A client that cannot keep up (a phone on a slow link) would otherwise
+  // have output pile up in its socket buffer without limit. Its output is
+  // dropped instead, and once the buffer has drained it gets a fresh
+  // snapshot of the screen and carries on from there.
+  pauseOutput(client, sessionId) {
+    client.lagging.add(sessionId);
+    console.log(`[Server] Web client ${client.id} is falling behind; pausing output of ${sessionId}`);
+    
+    if (client.drainTimer) return;
+    client.drainTimer = setInterval(() => {
+      if (client.ws.readyState !== client.ws.OPEN) {
+        clearInterval(client.drainTimer);
+        client.drainTimer = null;
+        return;
+      }
+      if (client.ws.bufferedAmount > this.backpressureBytes / 4) return;
+      
+      clearInterval(client.drainTimer);
+      client.drainTimer = null;
+      const resumed = Array.from(client.lagging);
+      client.lagging.clear();
+      resumed
+        .filter(id => client.subscribedSessions.has(id))
+        .forEach(id => this.sendSnapshot(client, id));
+    }, 250);
+  }
+
+  // Start mirroring a connected session's screen from its stored history
+  openScreen(sessionId) {
+    const session = this.sessions.get(sessionId);
+    this.closeScreen(sessionId);
+    
+    const screen = new ScreenMirror({ cols: session.cols, rows: session.rows });
+    screen.load(this.getHistory(sessionId));
+    this.screens.set(sessionId, screen);
+    return screen;
+  }
+
+  closeScreen(sessionId) {
+    const screen = this.screens.get(sessionId);
+    if (screen) {
+      screen.dispose();
+      this.screens.delete(sessionId);
+    }
+  }
+
+  // Send a web client the current screen of a session. Live messages for the
+  // session are queued until the snapshot is out so nothing is lost or doubled.
+  sendSnapshot(webClient, sessionId) {
+    const session = this.sessions.get(sessionId);
+    const queue = [];
+    webClient.pendingSnapshots.set(sessionId, queue);
+    
+    // Sessions without a live screen get a temporary one built from history
+    let screen = this.screens.get(sessionId);
+    const temporary = !screen;
+    if (temporary) {
+      screen = new ScreenMirror({
+        cols: session ? session.cols : undefined,
+        rows: session ? session.rows : undefined
+      });
+      screen.load(this.getHistory(sessionId));
+    }
+    
+    // Send the first message, then everything that was held back meanwhile
+    const deliver = (message) => {
+      // Dropped if the client unsubscribed or resubscribed meanwhile
+      if (webClient.pendingSnapshots.get(sessionId) !== queue) return;
+      webClient.pendingSnapshots.delete(sessionId);
+      
+      if (webClient.ws.readyState !== webClient.ws.OPEN) return;
+      webClient.ws.send(JSON.stringify(message));
+      queue.forEach(queued => this.sendToSubscriber(webClient, queued));
+    };
+    
+    screen.snapshot()
+      .then(snapshot => {
+        deliver({ type: 'snapshot', sessionId, ...snapshot });
+      })
+      .catch(async err => {
+        // Fall back to the raw history replay
+        console.error(`[Server] Error creating snapshot for ${sessionId}:`, err.message);
+        deliver({ type: 'history', sessionId, data: await this.getHistory(sessionId) });
+      })
+      .finally(() => {
+        if (temporary) {
+          screen.dispose();
+        }
+      });
+  }
+
+  // Record a lifecycle state (running, reconnected, exited, killed, disconnected)
+  // and tell web clients about it
+  setLifecycle(sessionId, state, details = {}) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return;
+    
+    Object.assign(session, details, { state });
+    this.persistSession(sessionId);
+    
+    this.broadcastToWeb({
+      type: 'session_lifecycle',
+      sessionId,
+      state,
+      exitCode: session.exitCode,
+      signal: session.signal,
+      startedAt: session.startedAt,
+      endedAt: session.endedAt,
+      timestamp: Date.now()
+    });
+  }
+
+  // A dropped connection only counts if the process has not already ended
+  markDisconnected(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return;
+    
+    if (isFinalState(session.state)) {
+      this.persistSession(sessionId);
+    } else {
+      this.setLifecycle(sessionId, 'disconnected', { disconnectedAt: Date.now() });
+    }
+  }
+
+  // Store, mirror and broadcast one chunk of output. Chunks carry a sequence
+  // number; anything at or below the last one seen is a resend and is dropped.
+  handleOutput(sessionId, msg) {
+    const session = this.sessions.get(sessionId);
+    if (session && msg.seq) {
+      if (typeof session.lastSeq === 'number' && msg.seq <= session.lastSeq) return;
+      session.lastSeq = msg.seq;
+    }
+    
+    this.addToHistory(sessionId, {
+      type: 'output',
+      data: msg.data,
+      timestamp: msg.timestamp,
+      seq: msg.seq
+    });
+    
+    const screen = this.screens.get(sessionId);
+    if (screen) {
+      screen.write(msg.data);
+    }
+    
+    this.triggers.handleOutput(sessionId, msg.data, (session && session.triggers) || []);
+    
+    if (session) {
+      session.lastActivity = Date.now();
+    }
+    
+    this.broadcastToSubscribers(sessionId, {
+      type: 'output',
+      sessionId: sessionId,
+      seq: msg.seq,
+      data: msg.data,
+      timestamp: msg.timestamp
+    });
+  }
+  
+  // The last output sequence stored for a session. After a server restart
+  // the persisted value may be stale, so it is read back from history.
+  async resolveLastSeq(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return 0;
+    if (typeof session.lastSeq === 'number') return session.lastSeq;
+    
+    const entries = await this.getHistory(sessionId);
+    const last = entries.slice().reverse().find(entry => entry.type === 'output' && entry.seq);
+    const lastSeq = last ? last.seq : 0;
+    if (typeof session.lastSeq !== 'number') {
+      session.lastSeq = lastSeq;
+    }
+    return session.lastSeq;
+  }
+  
+  addToHistory(sessionId, entry) {
+    this.historyStore.append(sessionId, entry);
+  }
+
+  async getHistory(sessionId) {
+    try {
+      return await this.historyStore.read(sessionId);
+    } catch (err) {
+      console.error(`[Server] Error reading history for ${sessionId}:`, err.message);
+      return [];
+    }
+  }
+
+  // Save session metadata so the session list survives restarts
+  persistSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return;
+    
+    const { clientId, ...metadata } = session;
+    this.historyStore.saveSession(metadata).catch(err => {
+      console.error(`[Server] Error saving session ${sessionId}:`, err.message);
+    });
+  }
+
+  // Reload sessions from the history store as disconnected
+  async restoreSessions() {
+    const stored = await this.historyStore.loadSessions();
+    stored.forEach(metadata => {
+      if (!this.sessions.has(metadata.id)) {
+        const imported = metadata.status === 'imported';
+        this.sessions.set(metadata.id, {
+          ...metadata,
+          clientId: null,
+          status: imported ? 'imported' : 'disconnected',
+          // Sessions that were still running when the server stopped lost their connection
+          state: imported || isFinalState(metadata.state) ? metadata.state : 'disconnected',
+          hasPrompt: false,
+          prompt: null,
+          lastSeq: null,
+          // Whoever held the keyboard is gone with the old server
+          inputControl: { mode: 'shared', holder: null }
+        });
+      }
+    });
+    
+    if (stored.length > 0) {
+      console.log(`[Server] Restored ${stored.length} session(s) from history`);
+    }
+  }
+
+  // Apply history retention limits and forget pruned sessions
+  async pruneHistory() {
+    const activeIds = new Set(this.clients.keys());
+    const removed = await this.historyStore.prune(activeIds);
+    
+    removed.forEach(sessionId => {
+      if (!activeIds.has(sessionId) && this.sessions.delete(sessionId)) {
+        this.broadcastToWeb({
+          type: 'session_removed',
+          sessionId: sessionId
+        });
+      }
+    });
+    
+    if (removed.length > 0) {
+      console.log(`[Server] Pruned history for ${removed.length} session(s)`);
+    }
+  }
+
+  // Take a session out of the list and move its history to the archive
+  async archiveSession(sessionId) {
+    this.sessions.delete(sessionId);
+    this.cancelRestart(sessionId);
+    this.triggers.close(sessionId);
+    await this.historyStore.archive(sessionId);
+    
+    this.broadcastToWeb({
+      type: 'session_removed',
+      sessionId: sessionId
+    });
+    console.log(`[Server] Archived session ${sessionId}`);
+  }
+
+  // Archive sessions that ended or lost their wrapper longer ago than
+  // history.archiveAfterHours (0 keeps them until history retention removes them)
+  async archiveIdleSessions() {
+    const hours = this.config.history.archiveAfterHours;
+    if (!hours) return;
+    
+    const cutoff = Date.now() - hours * 60 * 60 * 1000;
+    const idle = Array.from(this.sessions.values()).filter(session => {
+      if (this.clients.has(session.id) || session.status === 'imported') return false;
+      const lastSeen = Math.max(session.lastActivity || 0, session.endedAt || 0, session.disconnectedAt || 0);
+      return lastSeen < cutoff;
+    });
+    
+    for (const session of idle) {
+      await this.archiveSession(session.id);
+    }
+  }
+
+  // Project directories of sessions running on this machine; these are the
+  // file browser's roots (with files.allowedPaths). `connectedOnly` leaves
+  // out sessions whose wrapper has gone.
+  localProjectPaths({ connectedOnly = false } = {}) {
+    const hostname = require('os').hostname();
+    return Array.from(this.sessions.values())
+      .filter(session => session.projectPath && session.status !== 'imported' &&
+        !session.relay && session.hostname === hostname &&
+        (!connectedOnly || this.clients.has(session.id)))
+      .map(session => session.projectPath);
+  }
+
+  setupFileBrowserRoutes() {
+    // Paths outside the roots or on the deny-list get the same 403 everywhere
+    const fileRoute = (handler) => async (req, res) => {
+      try {
+        await handler(req, res);
+      } catch (err) {
+        if (err instanceof FileAccessError || err instanceof git.GitError) {
+          return res.status(err.status).json({ error: err.message });
+        }
+        console.error('[Server] File browser error:', err.message);
+        res.status(500).json({ error: 'File browser error' });
+      }
+    };
+    const depthOf = (req) => Math.min(Number(req.query.depth) || 3, 5);
+    
+    // Get directory tree for a path inside the roots (no session required)
+    this.app.get('/api/files', fileRoute(async (req, res) => {
+      const directory = await this.fileBrowser.resolvePath(req.query.path);
+      const tree = await this.fileBrowser.getDirectoryTree(directory.path, depthOf(req), 0, directory.root);
+      
+      res.json(tree);
+    }));
+    
+    // Get file content (no session required)
+    this.app.get('/api/file', fileRoute(async (req, res) => {
+      const file = await this.fileBrowser.resolvePath(req.query.path);
+      const content = await this.fileBrowser.getFileContent(file.path);
+      res.json(content);
+    }));
+    
+    // Legacy session-based routes for backward compatibility; these are
+    // limited to the session's own project directory
+    this.app.get('/api/session/:id/files', fileRoute(async (req, res) => {
+      const session = this.sessions.get(req.params.id);
+      if (!session || !session.projectPath) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      
+      const directory = await this.fileBrowser.resolvePath(session.projectPath, { roots: [session.projectPath] });
+      const tree = await this.fileBrowser.getDirectoryTree(directory.path, depthOf(req), 0, directory.root);
+      
+      res.json(tree);
+    }));
+    
+    this.app.get('/api/session/:id/file', fileRoute(async (req, res) => {
+      const session = this.sessions.get(req.params.id);
+      if (!session || !session.projectPath) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      
+      const file = await this.fileBrowser.resolvePath(req.query.path, {
+        base: session.projectPath,
+        roots: [session.projectPath]
+      });
+      const content = await this.fileBrowser.getFileContent(file.path);
+      res.json(content);
+    }));
+    
+    // Editing is limited to the project directories of this machine's
+    // sessions; files.allowedPaths are read-only
+    const writableRoots = () => this.localProjectPaths();
+    
+    // Save a file opened in the viewer
+    this.app.put('/api/file', fileRoute(async (req, res) => {
+      const { path: filePath, content, baseHash, force } = req.body || {};
+      const file = await this.fileBrowser.resolvePath(filePath, { roots: writableRoots() });
+      const result = await this.fileBrowser.saveFile(file.path, content, { baseHash, force: force === true });
+      if (result.conflict) {
+        return res.status(409).json({ error: 'File changed on disk', current: result.conflict });
+      }
+      
+      this.auditFile('save', file.path, req);
+      res.json({ path: file.path, ...result });
+    }));
+    
+    // Create a file or directory
+    this.app.post('/api/file', fileRoute(async (req, res) => {
+      const { path: filePath, type, content } = req.body || {};
+      const target = await this.fileBrowser.resolveNewPath(filePath, { roots: writableRoots() });
+      await this.fileBrowser.createEntry(target.path, { type, content });
+      
+      this.auditFile('create', target.path, req);
+      res.status(201).json({ path: target.path });
+    }));
+    
+    // Rename or move within the writable roots; a relative newPath is taken
+    // from the file's directory
+    this.app.post('/api/file/rename', fileRoute(async (req, res) => {
+      const { path: filePath, newPath } = req.body || {};
+      const source = await this.fileBrowser.resolveEntry(filePath, { roots: writableRoots() });
+      if (source.path === source.root) {
+        return res.status(400).json({ error: 'A project directory cannot be renamed' });
+      }
+      const target = await this.fileBrowser.resolveNewPath(newPath, {
+        base: path.dirname(source.path),
+        roots: writableRoots()
+      });
+      await fs.rename(source.path, target.path);
+      
+      this.auditFile('rename', source.path, req, { newPath: target.path });
+      res.json({ path: target.path });
+    }));
+    
+    this.app.delete('/api/file', fileRoute(async (req, res) => {
+      const file = await this.fileBrowser.resolveEntry(req.query.path, { roots: writableRoots() });
+      if (file.path === file.root) {
+        return res.status(400).json({ error: 'A project directory cannot be deleted' });
+      }
+      await this.fileBrowser.removeEntry(file.path);
+      
+      this.auditFile('delete', file.path, req);
+      res.json({ success: true });
+    }));
+    
+    // Get git status (no session required)
+    this.app.get('/api/git-status', fileRoute(async (req, res) => {
+      const directory = await this.fileBrowser.resolvePath(req.query.path);
+      const status = await this.fileBrowser.getGitStatus(directory.path);
+      res.json(status);
+    }));
+    
+    // Get git diff for a file (relative to the directory)
+    this.app.get('/api/git-diff', fileRoute(async (req, res) => {
+      if (!req.query.path || !req.query.file) {
+        return res.status(400).json({ error: 'Directory path and file path required' });
+      }
+      
+      const directory = await this.fileBrowser.resolvePath(req.query.path);
+      const file = await this.fileBrowser.resolvePath(req.query.file, { base: directory.path }).catch(err => {
+        // A deleted file can still have a diff
+        if (err.status !== 404) throw err;
+        return null;
+      });
+      if (file && (await fs.stat(file.path)).isDirectory()) {
+        return res.status(400).json({ error: 'Not a file' });
+      }
+      
+      const diff = await this.fileBrowser.getGitDiff(directory.path, req.query.file);
+      res.json(diff);
+    }));
+    
+    // History, branches and stashes of a repository inside the roots
+    this.app.get('/api/git/log', fileRoute(async (req, res) => {
+      const directory = await this.fileBrowser.resolvePath(req.query.path);
+      const commits = await git.getLog(directory.path, {
+        limit: Math.min(Number(req.query.limit) || 50, 500),
+        skip: Math.max(Number(req.query.skip) || 0, 0),
+        deny: this.fileBrowser.deny
+      });
+      res.json({ commits });
+    }));
+    
+    this.app.get('/api/git/commit', fileRoute(async (req, res) => {
+      const directory = await this.fileBrowser.resolvePath(req.query.path);
+      res.json(await git.getCommit(directory.path, req.query.hash, { deny: this.fileBrowser.deny }));
+    }));
+    
+    this.app.get('/api/git/branch', fileRoute(async (req, res) => {
+      const directory = await this.fileBrowser.resolvePath(req.query.path);
+      res.json(await git.getBranchInfo(directory.path));
+    }));
+    
+    this.app.get('/api/git/stashes', fileRoute(async (req, res) => {
+      const directory = await this.fileBrowser.resolvePath(req.query.path);
+      res.json({ stashes: await git.getStashes(directory.path) });
+    }));
+    
+    // Staging and committing change the repository, so like file edits they
+    // are limited to project directories of sessions
+    const stagingRoute = (unstage) => fileRoute(async (req, res) => {
+      const { files, hunk, hunkHeader } = req.body || {};
+      if (!Array.isArray(files) || files.length === 0 || !files.every(file => typeof file === 'string' && file)) {
+        return res.status(400).json({ error: 'files must be a list of paths' });
+      }
+      const directory = await this.fileBrowser.resolvePath(req.body.path, { roots: writableRoots() });
+      // Denied names are refused here (403), whether or not they exist
+      for (const file of files) {
+        await this.fileBrowser.resolvePath(file, { base: directory.path, roots: writableRoots() }).catch(err => {
+          // Deleted files can still be staged
+          if (err.status !== 404) throw err;
+        });
+      }
+      
+      if (hunk !== undefined) {
+        if (files.length !== 1 || !Number.isInteger(hunk) || hunk < 0) {
+          return res.status(400).json({ error: 'A hunk is a number and needs exactly one file' });
+        }
+        await git.applyHunk(directory.path, files[0], hunk, { unstage, hunkHeader });
+      } else if (unstage) {
+        await git.unstageFiles(directory.path, files);
+      } else {
+        await git.stageFiles(directory.path, files, { deny: this.fileBrowser.deny });
+      }
+      
+      this.auditGit(unstage ? 'unstage' : 'stage', directory.path, req, { files, hunk });
+      res.json({ success: true });
+    });
+    this.app.post('/api/git/stage', stagingRoute(false));
+    this.app.post('/api/git/unstage', stagingRoute(true));
+    
+    this.app.post('/api/git/commit', fileRoute(async (req, res) => {
+      const directory = await this.fileBrowser.resolvePath(req.body && req.body.path, { roots: writableRoots() });
+      const commit = await git.commit(directory.path, req.body.message);
+      
+      this.auditGit('commit', directory.path, req, { hash: commit.hash, message: commit.subject });
+      res.status(201).json(commit);
+    }));
+    
+    // Shutdown endpoint (requires the token and only accepts requests from localhost)
+    this.app.post('/api/shutdown', (req, res) => {
+      const remoteAddress = req.connection.remoteAddress || req.socket.remoteAddress;
+      
+      // Only allow shutdown from localhost
+      if (remoteAddress === '127.0.0.1' || remoteAddress === '::1' || remoteAddress === '::ffff:127.0.0.1') {
+        console.log('[Server] Shutdown requested from localhost');
+        res.json({ message: 'Server shutting down' });
+        
+        if (this.auditLog) {
+          this.auditLog.close();
+        }
+        
+        // Close all WebSocket connections
+        this.wss.clients.forEach(client => {
+          client.close();
+        });
+        
+        // Close the server
+        setTimeout(() => {
+          this.server.close(() => {
+            console.log('[Server] Server shutdown complete');
+            process.exit(0);
+          });
+        }, 100);
+      } else {
+        res.status(403).json({ error: 'Shutdown only allowed from localhost' });
+      }
+    });
+    
+    // Get recently modified files (no session required)
+    this.app.get('/api/recent-files', fileRoute(async (req, res) => {
+      const directory = await this.fileBrowser.resolvePath(req.query.path);
+      const recent = await this.fileBrowser.getRecentlyModified(directory.path, {
+        limit: parseRecentLimit(req.query.limit),
+        root: directory.root
+      });
+      res.json(recent);
+    }));
+    
+    // Legacy session-based routes
+    this.app.get('/api/session/:id/git-status', fileRoute(async (req, res) => {
+      const session = this.sessions.get(req.params.id);
+      if (!session || !session.projectPath) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      
+      const directory = await this.fileBrowser.resolvePath(session.projectPath, { roots: [session.projectPath] });
+      const status = await this.fileBrowser.getGitStatus(directory.path);
+      res.json(status);
+    }));
+    
+    this.app.get('/api/session/:id/recent-files', fileRoute(async (req, res) => {
+      const session = this.sessions.get(req.params.id);
+      if (!session || !session.projectPath) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      
+      const directory = await this.fileBrowser.resolvePath(session.projectPath, { roots: [session.projectPath] });
+      const recent = await this.fileBrowser.getRecentlyModified(directory.path, {
+        limit: parseRecentLimit(req.query.limit),
+        root: directory.root
+      });
+      res.json(recent);
+    }));
+  }
+
+  start() {
+    if (this.tlsEnabled) {
+      loadServerCertificate(this.config.server.tls)
+        .then(certificate => {
+          this.server.setSecureContext({ cert: certificate.cert, key: certificate.key });
+          this.certificate = certificate;
+          this.listen();
+        })
+        .catch(err => {
+          console.error(`[Server] Could not load TLS certificate: ${err.message}`);
+          process.exit(1);
+        });
+    } else {
+      this.listen();
+    }
+    
+    // Restore previous sessions and share links, then apply retention limits
+    this.loadShares();
+    this.restoreSessions()
+      .then(() => this.archiveIdleSessions())
+      .then(() => this.pruneHistory())
+      .catch(err => console.error('[Server] Error restoring sessions:', err.message));
+    
+    setInterval(() => {
+      this.pruneHistory().catch(err => {
+        console.error('[Server] Error pruning history:', err.message);
+      });
+    }, 60 * 60 * 1000);
+    
+    setInterval(() => {
+      this.archiveIdleSessions().catch(err => {
+        console.error('[Server] Error archiving sessions:', err.message);
+      });
+    }, 10 * 60 * 1000);
+    
+    // Periodic health check for sessions
+    setInterval(() => {
+      // Drop web clients whose share link has expired
+      this.webClients.forEach(client => {
+        if (client.principal.expiresAt && client.principal.expiresAt <= Date.now()) {
+          client.ws.close(4001, 'Share link expired');
+        }
+      });
+      
+      this.sessions.forEach((session, sessionId) => {
+        const client = this.clients.get(sessionId);
+        if (client && client.readyState === client.OPEN) {
+          client.send(JSON.stringify({ type: 'ping' }));
+        }
+      });
+    }, 30000);
+  }
+  
+  listen() {
+    const scheme = this.tlsEnabled ? 'https' : 'http';
+    const wsScheme = this.tlsEnabled ? 'wss' : 'ws';
+    
+    // Bind to all IPv4 interfaces (0.0.0.0) by default to avoid IPv6-only binding
+    this.server.listen(this.port, this.host, () => {
+      console.log(`[Server] Shellstream Server running on ${scheme}://localhost:${this.port}`);
+      console.log(`[Server] Listening on ${this.host}:${this.port}`);
+      console.log(`[Server] WebSocket endpoint: ${wsScheme}://localhost:${this.port}`);
+      console.log(`[Server] Web UI: ${scheme}://localhost:${this.port}`);
+      console.log(`[Server] Also accessible at: ${scheme}://127.0.0.1:${this.port}`);
+      if (this.certificate) {
+        if (this.certificate.generated) {
+          console.log(`[Server] Generated a self-signed TLS certificate`);
+        }
+        console.log(`[Server] TLS certificate fingerprint (SHA-256): ${this.certificate.fingerprint}`);
+      }
+      if (this.authEnabled) {
+        console.log(`[Server] Authentication enabled (token stored in config file)`);
+      } else {
+        console.log(`[Server] WARNING: authentication is disabled`);
+      }
+      if (this.relay) {
+        console.log(`[Server] Relaying sessions to ${this.relay.url}`);
+      }
+    });
+  }
+}
+
+// History stores keep session output and metadata. A store implements:
+//   append(sessionId, entry)  - record a history entry
+//   read(sessionId)           - async, most recent entries in order
+//   saveSession(metadata)     - async, persist session metadata
+//   loadSessions()            - async, metadata of all stored sessions
+//   close(sessionId)          - release resources for a finished session
+//   archive(sessionId)        - async, move a session out of the live store
+//   prune(activeIds)          - async, apply retention, returns removed ids
+function createHistoryStore(config) {
+  const options = config.history;
+  
+  if (options.backend === 'memory') {
+    return new MemoryHistoryStore(options);
+  }
+  if (options.backend === 'file') {
+    return new FileHistoryStore({ ...options, dataDir: getDataDir(config) });
+  }
+  throw new Error(`Unknown history backend: ${options.backend}`);
+}
+
+// In-memory history (lost on restart)
+class MemoryHistoryStore {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 10000;
+    this.history = new Map();
+    this.metadata = new Map();
+  }
+
+  append(sessionId, entry) {
+    if (!this.history.has(sessionId)) {
+      this.history.set(sessionId, []);
+    }
+    
+    const history = this.history.get(sessionId);
+    history.push(entry);
+    
+    // Limit history size
+    if (history.length > this.maxEntries) {
+      history.shift();
+    }
+  }
+
+  async read(sessionId) {
+    return (this.history.get(sessionId) || []).slice();
+  }
+
+  async saveSession(metadata) {
+    this.metadata.set(metadata.id, { ...metadata });
+  }
+
+  async loadSessions() {
+    return Array.from(this.metadata.values());
+  }
+
+  close() {}
+
+  // Nothing outlives the process, so archiving just forgets the session
+  async archive(sessionId) {
+    this.history.delete(sessionId);
+    this.metadata.delete(sessionId);
+  }
+
+  async prune() {
+    return [];
+  }
+}
+
+// Append-only JSON-lines log plus a metadata file per session:
+//   <dataDir>/sessions/<id>.log   one history entry per line
+//   <dataDir>/sessions/<id>.json  session metadata
+// Archived sessions are moved to <dataDir>/archive and kept until maxAgeDays.
+class FileHistoryStore {
+  constructor(options = {}) {
+    this.dir = path.join(options.dataDir, 'sessions');
+    this.archiveDir = path.join(options.dataDir, 'archive');
+    this.maxEntries = options.maxEntries || 10000;
+    this.maxAge = (options.maxAgeDays || 7) * 24 * 60 * 60 * 1000;
+    this.maxTotalBytes = (options.maxTotalMB || 500) * 1024 * 1024;
+    this.maxReadBytes = 16 * 1024 * 1024; // Only the tail of huge logs is read
+    
+    this.streams = new Map();  // sessionId -> append stream
+    this.offsets = new Map();  // sessionId -> bytes queued for writing
+    
+    require('fs').mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+  }
+
+  logPath(sessionId) {
+    return path.join(this.dir, `${sessionId}.log`);
+  }
+
+  metadataPath(sessionId) {
+    return path.join(this.dir, `${sessionId}.json`);
+  }
+
+  isValidId(sessionId) {
+    return typeof sessionId === 'string' && /^[\w-]+$/.test(sessionId);
+  }
+
+  getStream(sessionId) {
+    let stream = this.streams.get(sessionId);
+    if (!stream) {
+      const logPath = this.logPath(sessionId);
+      let size = 0;
+      try {
+        size = require('fs').statSync(logPath).size;
+      } catch {
+        // New log
+      }
+      
+      stream = require('fs').createWriteStream(logPath, { flags: 'a', mode: 0o600 });
+      stream.on('error', err => {
+        console.error(`[History] Write error for ${sessionId}:`, err.message);
+      });
+      this.streams.set(sessionId, stream);
+      this.offsets.set(sessionId, size);
+    }
+    return stream;
+  }
+
+  append(sessionId, entry) {
+    if (!this.isValidId(sessionId)) return;
+    
+    const line = JSON.stringify(entry) + '\n';
+    this.getStream(sessionId).write(line);
+    this.offsets.set(sessionId, this.offsets.get(sessionId) + Buffer.byteLength(line));
+  }
+
+  async read(sessionId) {
+    if (!this.isValidId(sessionId)) return [];
+    
+    // Only read what was appended before this call, once it has reached the disk
+    const stream = this.streams.get(sessionId);
+    let end = null;
+    if (stream) {
+      end = this.offsets.get(sessionId);
+      await new Promise(resolve => stream.write('', resolve));
+    }
+    
+    let handle;
+    try {
+      handle = await fs.open(this.logPath(sessionId), 'r');
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    
+    try {
+      if (end === null) {
+        end = (await handle.stat()).size;
+      }
+      const start = Math.max(0, end - this.maxReadBytes);
+      const buffer = Buffer.alloc(end - start);
+      await handle.read(buffer, 0, buffer.length, start);
+      
+      const lines = buffer.toString('utf8').split('\n');
+      if (start > 0) lines.shift(); // First line is partial
+      
+      const entries = [];
+      lines.forEach(line => {
+        if (!line) return;
+        try {
+          entries.push(JSON.parse(line));
+        } catch {
+          // Skip a line truncated by a crash
+        }
+      });
+      return entries.slice(-this.maxEntries);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async saveSession(metadata) {
+    if (!this.isValidId(metadata.id)) return;
+    
+    // Write then rename so a crash never leaves half a metadata file; saves
+    // can overlap (exit and disconnect arrive together), so temp names differ
+    const target = this.metadataPath(metadata.id);
+    this.saveCount = (this.saveCount || 0) + 1;
+    const temp = `${target}.${process.pid}.${this.saveCount}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(metadata), { mode: 0o600 });
+    await fs.rename(temp, target);
+  }
+
+  async loadSessions() {
+    const files = await fs.readdir(this.dir);
+    const sessions = [];
+    
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      try {
+        const metadata = JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8'));
+        
+        // The log's mtime is the last time the session produced anything
+        try {
+          const stats = await fs.stat(this.logPath(metadata.id));
+          metadata.lastActivity = Math.max(metadata.lastActivity || 0, stats.mtimeMs);
+        } catch {
+          // No output recorded
         }
+        sessions.push(metadata);
+      } catch (err) {
+        console.error(`[History] Skipping unreadable session file ${file}:`, err.message);
       }
     }
+    return sessions;
   }
 
-  sendToWrapper(ws, message) {
-    if (ws.readyState === ws.OPEN) {
-      ws.send(JSON.stringify(message));
+  close(sessionId) {
+    const stream = this.streams.get(sessionId);
+    if (stream) {
+      stream.end();
+      this.streams.delete(sessionId);
+      this.offsets.delete(sessionId);
     }
   }
 
-  broadcastToWeb(message) {
-    this.webClients.forEach(client => {
-      if (client.ws.readyState === client.ws.OPEN) {
-        client.ws.send(JSON.stringify(message));
-      }
-    });
+  async remove(sessionId) {
+    this.close(sessionId);
+    await Promise.all([
+      fs.rm(this.logPath(sessionId), { force: true }),
+      fs.rm(this.metadataPath(sessionId), { force: true })
+    ]);
   }
 
-  broadcastToSubscribers(sessionId, message) {
-    this.webClients.forEach(client => {
-      if (client.subscribedSessions.has(sessionId) && 
-          client.ws.readyState === client.ws.OPEN) {
-        client.ws.send(JSON.stringify(message));
+  async archive(sessionId) {
+    if (!this.isValidId(sessionId)) return;
+    
+    this.close(sessionId);
+    await fs.mkdir(this.archiveDir, { recursive: true, mode: 0o700 });
+    for (const file of [this.logPath(sessionId), this.metadataPath(sessionId)]) {
+      try {
+        await fs.rename(file, path.join(this.archiveDir, path.basename(file)));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
       }
-    });
+    }
   }
 
-  addToHistory(sessionId, entry) {
-    if (!this.sessionHistory.has(sessionId)) {
-      this.sessionHistory.set(sessionId, []);
+  // Archived files are only subject to the age limit
+  async pruneArchive() {
+    let files;
+    try {
+      files = await fs.readdir(this.archiveDir);
+    } catch {
+      return;
     }
     
-    const history = this.sessionHistory.get(sessionId);
-    history.push(entry);
-    
-    // Limit history size (keep last 10000 entries)
-    if (history.length > 10000) {
-      history.shift();
+    const cutoff = Date.now() - this.maxAge;
+    for (const file of files) {
+      const filePath = path.join(this.archiveDir, file);
+      try {
+        if ((await fs.stat(filePath)).mtimeMs < cutoff) {
+          await fs.rm(filePath, { force: true });
+        }
+      } catch {
+        // Removed concurrently
+      }
     }
   }
 
-  setupFileBrowserRoutes() {
-    // Get directory tree for a path (no session required)
-    this.app.get('/api/files', async (req, res) => {
-      const directoryPath = req.query.path;
-      if (!directoryPath) {
-        return res.status(400).json({ error: 'Directory path required' });
-      }
-      
-      const tree = await this.fileBrowser.getDirectoryTree(
-        directoryPath,
-        req.query.depth || 3
-      );
-      
-      res.json(tree);
-    });
-    
-    // Get file content (no session required)
-    this.app.get('/api/file', async (req, res) => {
-      const filePath = req.query.path;
-      if (!filePath) {
-        return res.status(400).json({ error: 'File path required' });
-      }
-      
-      const content = await this.fileBrowser.getFileContent(filePath);
-      res.json(content);
-    });
-    
-    // Legacy session-based routes for backward compatibility
-    this.app.get('/api/session/:id/files', async (req, res) => {
-      const session = this.sessions.get(req.params.id);
-      if (!session) {
-        return res.status(404).json({ error: 'Session not found' });
-      }
-      
-      const tree = await this.fileBrowser.getDirectoryTree(
-        session.projectPath,
-        req.query.depth || 3
-      );
-      
-      res.json(tree);
-    });
-    
-    this.app.get('/api/session/:id/file', async (req, res) => {
-      const session = this.sessions.get(req.params.id);
-      if (!session) {
-        return res.status(404).json({ error: 'Session not found' });
-      }
-      
-      const filePath = req.query.path;
-      if (!filePath) {
-        return res.status(400).json({ error: 'File path required' });
-      }
-      
-      // Security: ensure file is within project directory
-      const resolvedPath = path.resolve(session.projectPath, filePath);
-      if (!resolvedPath.startsWith(path.resolve(session.projectPath))) {
-        return res.status(403).json({ error: 'Access denied' });
-      }
-      
-      const content = await this.fileBrowser.getFileContent(resolvedPath);
-      res.json(content);
-    });
-    
-    // Get git status (no session required)
-    this.app.get('/api/git-status', async (req, res) => {
-      const directoryPath = req.query.path;
-      if (!directoryPath) {
-        return res.status(400).json({ error: 'Directory path required' });
-      }
-      
-      const status = await this.fileBrowser.getGitStatus(directoryPath);
-      res.json(status);
-    });
-    
-    // Get git diff for a file
-    this.app.get('/api/git-diff', async (req, res) => {
-      const directoryPath = req.query.path;
-      const filePath = req.query.file;
-      
-      if (!directoryPath || !filePath) {
-        return res.status(400).json({ error: 'Directory path and file path required' });
-      }
-      
-      const diff = await this.fileBrowser.getGitDiff(directoryPath, filePath);
-      res.json(diff);
-    });
-    
-    // Shutdown endpoint (only accepts requests from localhost)
-    this.app.post('/api/shutdown', (req, res) => {
-      const remoteAddress = req.connection.remoteAddress || req.socket.remoteAddress;
-      
-      // Only allow shutdown from localhost
-      if (remoteAddress === '127.0.0.1' || remoteAddress === '::1' || remoteAddress === '::ffff:127.0.0.1') {
-        console.log('[Server] Shutdown requested from localhost');
-        res.json({ message: 'Server shutting down' });
-        
-        // Close all WebSocket connections
-        this.wss.clients.forEach(client => {
-          client.close();
-        });
-        
-        // Close the server
-        setTimeout(() => {
-          this.server.close(() => {
-            console.log('[Server] Server shutdown complete');
-            process.exit(0);
-          });
-        }, 100);
-      } else {
-        res.status(403).json({ error: 'Shutdown only allowed from localhost' });
-      }
-    });
+  async prune(activeIds = new Set()) {
+    await this.pruneArchive();
+    const files = await fs.readdir(this.dir);
+    const sessions = new Map();
     
-    // Get recently modified files (no session required)
-    this.app.get('/api/recent-files', async (req, res) => {
-      const directoryPath = req.query.path;
-      if (!directoryPath) {
-        return res.status(400).json({ error: 'Directory path required' });
+    // Size and last-modified time per session
+    for (const file of files) {
+      const match = file.match(/^([\w-]+)\.(log|json)$/);
+      if (!match) continue;
+      try {
+        const stats = await fs.stat(path.join(this.dir, file));
+        const info = sessions.get(match[1]) || { id: match[1], size: 0, mtime: 0 };
+        info.size += stats.size;
+        info.mtime = Math.max(info.mtime, stats.mtimeMs);
+        sessions.set(match[1], info);
+      } catch {
+        // Removed concurrently
       }
-      
-      const recent = await this.fileBrowser.getRecentlyModified(
-        directoryPath,
-        req.query.limit || 10
-      );
-      res.json(recent);
-    });
+    }
     
-    // Legacy session-based routes
-    this.app.get('/api/session/:id/git-status', async (req, res) => {
-      const session = this.sessions.get(req.params.id);
-      if (!session) {
-        return res.status(404).json({ error: 'Session not found' });
-      }
-      
-      const status = await this.fileBrowser.getGitStatus(session.projectPath);
-      res.json(status);
-    });
+    const removed = [];
+    const cutoff = Date.now() - this.maxAge;
+    const candidates = Array.from(sessions.values())
+      .filter(info => !activeIds.has(info.id))
+      .sort((a, b) => a.mtime - b.mtime);
+    let totalSize = Array.from(sessions.values()).reduce((sum, info) => sum + info.size, 0);
     
-    this.app.get('/api/session/:id/recent-files', async (req, res) => {
-      const session = this.sessions.get(req.params.id);
-      if (!session) {
-        return res.status(404).json({ error: 'Session not found' });
-      }
-      
-      const recent = await this.fileBrowser.getRecentlyModified(
-        session.projectPath,
-        req.query.limit || 10
-      );
-      res.json(recent);
-    });
+    for (const info of candidates) {
+      if (info.mtime >= cutoff && totalSize <= this.maxTotalBytes) break;
+      await this.remove(info.id);
+      totalSize -= info.size;
+      removed.push(info.id);
+    }
+    return removed;
   }
+}
 
-  start() {
-    // Explicitly bind to all IPv4 interfaces (0.0.0.0) to avoid IPv6-only binding
-    this.server.listen(this.port, '0.0.0.0', () => {
-      console.log(`[Server] Shellstream Server running on http://localhost:${this.port}`);
-      console.log(`[Server] WebSocket endpoint: ws://localhost:${this.port}`);
-      console.log(`[Server] Web UI: http://localhost:${this.port}`);
-      console.log(`[Server] Also accessible at: http://127.0.0.1:${this.port}`);
-    });
-    
-    // Periodic health check for sessions
-    setInterval(() => {
-      this.sessions.forEach((session, sessionId) => {
-        const client = this.clients.get(sessionId);
-        if (client && client.readyState === client.OPEN) {
-          client.send(JSON.stringify({ type: 'ping' }));
-        }
-      });
-    }, 30000);
+// FileBrowser class for handling file operations
+// A path the file browser may not show; `status` is the HTTP status to reply with
+class FileAccessError extends Error {
+  constructor(message, status = 403) {
+    super(message);
+    this.status = status;
   }
 }
 
-// FileBrowser class for handling file operations
+// Reads files for the web UI, but only below its roots: the project
+// directories of this machine's sessions plus files.allowedPaths from the
+// config. Paths are compared after resolving symlinks, so a link cannot lead
+// out of a root, and names on the deny-list (keys, .env files) are never
+// listed or read.
 class FileBrowser {
-  constructor() {
+  constructor({ getRoots = () => [], allowedPaths = [], deny = [] } = {}) {
+    this.getRoots = getRoots;
+    this.allowedPaths = allowedPaths;
+    this.deny = deny;
+    this.denyPatterns = deny.map(globToRegExp);
+    
     this.allowedExtensions = new Set([
       '.js', '.jsx', '.ts', '.tsx', '.json', '.md', '.txt', '.yaml', '.yml',
       '.html', '.css', '.scss', '.py', '.java', '.go', '.rs', '.cpp', '.c',
@@ -626,7 +2908,59 @@ class FileBrowser {
     this.maxFileSize = 1024 * 1024; // 1MB max for viewing
   }
 
-  async getDirectoryTree(dirPath, maxDepth = 3, currentDepth = 0) {
+  // Real paths of the directories that may be browsed
+  async resolveRoots() {
+    const candidates = [...this.getRoots(), ...this.allowedPaths.map(expandHome)];
+    const roots = new Set();
+    for (const dir of candidates) {
+      try {
+        roots.add(await fs.realpath(path.resolve(dir)));
+      } catch {
+        // Directory no longer exists
+      }
+    }
+    return Array.from(roots);
+  }
+
+  isDenied(filePath, root) {
+    return path.relative(root, filePath).split(path.sep)
+      .some(name => this.denyPatterns.some(pattern => pattern.test(name)));
+  }
+
+  // The real path of `requestedPath` (relative paths are taken from `base`).
+  // Throws a FileAccessError unless it is inside one of `roots` (by default
+  // all of them) and not denied; paths outside the roots get a 403 whether
+  // or not they exist.
+  async resolvePath(requestedPath, { base = null, roots = null } = {}) {
+    if (typeof requestedPath !== 'string' || !requestedPath) {
+      throw new FileAccessError('Path required', 400);
+    }
+    const allowedRoots = roots
+      ? await Promise.all(roots.map(root => fs.realpath(root).catch(() => root)))
+      : await this.resolveRoots();
+    const absolute = base ? path.resolve(base, requestedPath) : path.resolve(requestedPath);
+    
+    let realPath;
+    try {
+      realPath = await fs.realpath(absolute);
+    } catch {
+      realPath = null;
+    }
+    
+    const root = allowedRoots.find(dir => isInside(realPath || absolute, dir));
+    if (!root) {
+      throw new FileAccessError('Access denied: outside the allowed directories');
+    }
+    if (this.isDenied(absolute, root) || (realPath && this.isDenied(realPath, root))) {
+      throw new FileAccessError('Access denied: protected file');
+    }
+    if (!realPath) {
+      throw new FileAccessError('Not found', 404);
+    }
+    return { path: realPath, root };
+  }
+
+  async getDirectoryTree(dirPath, maxDepth = 3, currentDepth = 0, root = dirPath) {
     if (currentDepth >= maxDepth) return null;
     
     try {
@@ -650,6 +2984,7 @@ class FileBrowser {
       // Filter and sort
       const filtered = files
         .filter(f => !f.startsWith('.') || f === '.env' || f === '.gitignore')
+        .filter(f => !this.denyPatterns.some(pattern => pattern.test(f)))
         .sort((a, b) => {
           // Directories first, then files
           const aPath = path.join(dirPath, a);
@@ -669,7 +3004,9 @@ class FileBrowser {
       for (const file of filtered.slice(0, 100)) { // Limit to 100 items
         const filePath = path.join(dirPath, file);
         try {
-          const child = await this.getDirectoryTree(filePath, maxDepth, currentDepth + 1);
+          // Symlinks leading out of the root are left out
+          if (!isInside(await fs.realpath(filePath), root)) continue;
+          const child = await this.getDirectoryTree(filePath, maxDepth, currentDepth + 1, root);
           if (child) children.push(child);
         } catch (err) {
           // Skip inaccessible files
@@ -715,9 +3052,11 @@ class FileBrowser {
         }
       }
       
-      const content = await fs.readFile(filePath, 'utf8');
+      const buffer = await fs.readFile(filePath);
       return {
-        content,
+        content: buffer.toString('utf8'),
+        // Sent back when saving, to detect changes made meanwhile
+        hash: hashContent(buffer),
         language: this.detectLanguage(filePath),
         size: stats.size,
         modified: stats.mtime
@@ -729,102 +3068,186 @@ class FileBrowser {
     }
   }
 
+  // Like resolvePath, but a symlink is returned as itself rather than as its
+  // target, so renaming or deleting it affects the link
+  async resolveEntry(requestedPath, options = {}) {
+    const file = await this.resolvePath(requestedPath, options);
+    const absolute = options.base ? path.resolve(options.base, requestedPath) : path.resolve(requestedPath);
+    const stats = await fs.lstat(absolute).catch(() => null);
+    if (!stats || !stats.isSymbolicLink()) return file;
+    
+    const parent = await this.resolvePath(path.dirname(absolute), options);
+    return { path: path.join(parent.path, path.basename(absolute)), root: parent.root };
+  }
+
+  // Where a file that does not exist yet would go: its parent directory must
+  // pass resolvePath and its name must not be denied
+  async resolveNewPath(requestedPath, options = {}) {
+    if (typeof requestedPath !== 'string' || !requestedPath) {
+      throw new FileAccessError('Path required', 400);
+    }
+    const absolute = options.base ? path.resolve(options.base, requestedPath) : path.resolve(requestedPath);
+    const parent = await this.resolvePath(path.dirname(absolute), options);
+    const target = path.join(parent.path, path.basename(absolute));
+    if (this.isDenied(target, parent.root)) {
+      throw new FileAccessError('Access denied: protected file');
+    }
+    
+    try {
+      await fs.lstat(target);
+    } catch {
+      return { path: target, root: parent.root };
+    }
+    throw new FileAccessError('A file with that name already exists', 409);
+  }
+
+  // Overwrite a file unless it changed since the client read it (`baseHash`
+  // from getFileContent); `force` skips the check. Returns { conflict } with
+  // the file's current content when it did change.
+  async saveFile(filePath, content, { baseHash, force = false } = {}) {
+    if (typeof content !== 'string') {
+      throw new FileAccessError('Content must be a string', 400);
+    }
+    if (Buffer.byteLength(content) > this.maxFileSize) {
+      throw new FileAccessError('File too large', 413);
+    }
+    if (!force && !baseHash) {
+      throw new FileAccessError('baseHash required (or force)', 400);
+    }
+    
+    const stats = await fs.stat(filePath);
+    if (!stats.isFile()) {
+      throw new FileAccessError('Not a file', 400);
+    }
+    
+    if (!force) {
+      const current = await this.getFileContent(filePath);
+      if (current.hash !== baseHash) {
+        return { conflict: current };
+      }
+    }
+    
+    await fs.writeFile(filePath, content);
+    const saved = await fs.stat(filePath);
+    return { hash: hashContent(Buffer.from(content)), size: saved.size, modified: saved.mtime };
+  }
+
+  async createEntry(filePath, { type = 'file', content = '' } = {}) {
+    if (type === 'directory') {
+      await fs.mkdir(filePath);
+    } else if (type === 'file') {
+      if (typeof content !== 'string' || Buffer.byteLength(content) > this.maxFileSize) {
+        throw new FileAccessError('Content must be a string of at most 1MB', 400);
+      }
+      // 'wx' fails instead of overwriting a file created meanwhile
+      await fs.writeFile(filePath, content, { flag: 'wx' });
+    } else {
+      throw new FileAccessError('Type must be file or directory', 400);
+    }
+  }
+
+  // Files and empty directories only; nothing is deleted recursively
+  async removeEntry(filePath) {
+    const stats = await fs.lstat(filePath);
+    if (stats.isDirectory()) {
+      try {
+        await fs.rmdir(filePath);
+      } catch (err) {
+        if (err.code === 'ENOTEMPTY' || err.code === 'EEXIST') {
+          throw new FileAccessError('Directory is not empty', 409);
+        }
+        throw err;
+      }
+    } else {
+      await fs.unlink(filePath);
+    }
+  }
+
   async getGitStatus(projectPath) {
     try {
-      const { stdout } = await execPromise('git status --porcelain', {
-        cwd: projectPath
-      });
-      
-      const files = stdout.split('\n')
-        .filter(line => line.trim())
-        .map(line => {
-          const status = line.substring(0, 2);
-          const file = line.substring(3);
-          return {
-            file,
-            status: this.parseGitStatus(status)
-          };
-        });
-      
-      return { files };
+      return await git.getStatus(projectPath, { deny: this.deny });
     } catch (err) {
-      return { error: 'Not a git repository' };
+      return { error: err.message };
     }
   }
 
+  // The change against HEAD, plus the staged and unstaged parts separately
+  // so they can be staged and unstaged hunk by hunk
   async getGitDiff(projectPath, filePath) {
+    // A deleted directory has no entries left to check, so denied names are
+    // also left out by git
+    const pathspecs = ['--', git.literalPath(filePath), ...git.excludePathspecs(this.deny)];
+    const diff = (args) => git.runGit(projectPath, ['diff', ...git.DIFF_OPTIONS, ...args, ...pathspecs], { pathspecMagic: true });
     try {
-      const { stdout } = await execPromise(`git diff HEAD -- "${filePath}"`, {
-        cwd: projectPath
-      });
+      const [stdout, stagedDiff, unstagedDiff] = await Promise.all([
+        // A repository without commits has no HEAD to compare with
+        diff(['HEAD']).catch(() => ''),
+        diff(['--cached']),
+        diff([])
+      ]);
+      const parts = { staged: stagedDiff, unstaged: unstagedDiff };
       
       if (!stdout) {
-        // Try to get diff for staged files
-        const { stdout: stagedDiff } = await execPromise(`git diff --cached -- "${filePath}"`, {
-          cwd: projectPath
-        });
-        
         if (!stagedDiff) {
           // For untracked files, show the entire content as addition
-          const fullPath = path.join(projectPath, filePath);
-          if (fs.existsSync(fullPath)) {
-            const content = await fs.readFile(fullPath, 'utf8');
+          try {
+            const content = await fs.readFile(path.join(projectPath, filePath), 'utf8');
             const lines = content.split('\n');
             return {
               diff: lines.map(line => `+${line}`).join('\n'),
               isNew: true
             };
+          } catch {
+            return { diff: '', error: 'No changes detected' };
           }
-          return { diff: '', error: 'No changes detected' };
         }
-        return { diff: stagedDiff, isStaged: true };
+        return { diff: stagedDiff, isStaged: true, ...parts };
       }
       
-      return { diff: stdout };
+      return { diff: stdout, ...parts };
     } catch (err) {
       return { error: `Failed to get diff: ${err.message}` };
     }
   }
 
-  async getRecentlyModified(projectPath, limit = 10) {
-    try {
-      const { stdout } = await execPromise(
-        `find . -type f -name "*.js" -o -name "*.ts" -o -name "*.jsx" -o -name "*.tsx" -o -name "*.py" -o -name "*.java" 2>/dev/null | head -20 | xargs ls -lt 2>/dev/null | head -${limit}`,
-        { cwd: projectPath, shell: true }
-      );
+  // The most recently changed source files below a directory. Hidden and
+  // denied names and node_modules are skipped and symlinks are not followed,
+  // so nothing outside `root` is reported.
+  async getRecentlyModified(projectPath, { limit = 10, root = projectPath } = {}) {
+    const files = [];
+    const directories = [projectPath];
+    let scanned = 0;
+    
+    while (directories.length > 0 && scanned < RECENT_SCAN_LIMIT) {
+      const dir = directories.shift();
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch {
+        continue;
+      }
       
-      const files = stdout.split('\n')
-        .filter(line => line.trim())
-        .map(line => {
-          const parts = line.split(/\s+/);
-          if (parts.length >= 9) {
-            const filePath = parts.slice(8).join(' ');
-            return {
-              path: filePath,
-              modified: parts.slice(5, 8).join(' ')
-            };
+      for (const entry of entries) {
+        if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+        const filePath = path.join(dir, entry.name);
+        if (this.isDenied(filePath, root)) continue;
+        
+        if (entry.isDirectory()) {
+          directories.push(filePath);
+        } else if (entry.isFile() && RECENT_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) {
+          scanned++;
+          try {
+            const stats = await fs.stat(filePath);
+            files.push({ path: path.relative(projectPath, filePath), modified: stats.mtime });
+          } catch {
+            // Deleted meanwhile
           }
-          return null;
-        })
-        .filter(f => f !== null);
-      
-      return { files };
-    } catch {
-      return { files: [] };
+        }
+      }
     }
-  }
-
-  parseGitStatus(status) {
-    const statusMap = {
-      'M ': 'modified',
-      'MM': 'modified',
-      'A ': 'added',
-      'D ': 'deleted',
-      '??': 'untracked',
-      'R ': 'renamed',
-      'C ': 'copied'
-    };
-    return statusMap[status] || 'unknown';
+    
+    files.sort((a, b) => b.modified - a.modified);
+    return { files: files.slice(0, limit) };
   }
 
   detectLanguage(filePath) {
@@ -870,6 +3293,126 @@ class FileBrowser {
   }
 }
 
+// Parse a Cookie header into a plain object
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) return cookies;
+  
+  header.split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index === -1) return;
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch {
+      cookies[name] = value;
+    }
+  });
+  return cookies;
+}
+
+// Constant-time string comparison for secrets
+function safeCompare(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+function hashContent(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Whether `filePath` is `dir` or below it (both absolute)
+function isInside(filePath, dir) {
+  const relative = path.relative(dir, filePath);
+  return relative === '' || (relative !== '..' && !relative.startsWith('..' + path.sep) && !path.isAbsolute(relative));
+}
+
+// ?limit= of the recent-files routes: 1 to 100, 10 by default
+function parseRecentLimit(value) {
+  const limit = Math.floor(Number(value));
+  return Number.isFinite(limit) && limit > 0 ? Math.min(limit, 100) : 10;
+}
+
+// Deny-list entries are file or directory names with * and ? wildcards
+function globToRegExp(pattern) {
+  const source = String(pattern).split('').map(char => {
+    if (char === '*') return '.*';
+    if (char === '?') return '.';
+    return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  return new RegExp(`^${source}$`);
+}
+
+// Exited and killed sessions are finished; other states can still change
+function isFinalState(state) {
+  return state === 'exited' || state === 'killed';
+}
+
+// Share tokens are stored hashed so shares.json cannot be used to log in
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// API routes a share link may use: its own session's details, history and controls
+function isShareRoute(req, sessionId) {
+  if (req.method === 'GET' && (req.path === '/sessions' || req.path === '/search')) return true;
+  
+  const match = req.path.match(/^\/session\/([^/]+)(?:\/(history|export|macros|input|command))?$/);
+  return Boolean(match) && match[1] === sessionId &&
+    (req.method === 'GET' || match[2] === 'input' || match[2] === 'command');
+}
+
+function sanitizeDisplayName(name) {
+  const trimmed = typeof name === 'string' ? name.trim().slice(0, 80) : '';
+  return trimmed || null;
+}
+
+// Trimmed, unique, at most 20 tags of up to 40 characters
+function sanitizeTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  const cleaned = tags
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag.trim().slice(0, 40))
+    .filter(Boolean);
+  return Array.from(new Set(cleaned)).slice(0, 20);
+}
+
+// Macro names and labels from a wrapper's register message
+function sanitizeMacros(macros) {
+  if (!Array.isArray(macros)) return [];
+  return macros
+    .filter(macro => macro && isValidName(macro.name))
+    .slice(0, 50)
+    .map(macro => ({
+      name: macro.name,
+      label: String(macro.label || macro.name).slice(0, 60),
+      description: String(macro.description || '').slice(0, 200)
+    }));
+}
+
+function describeHttpClient(req) {
+  return {
+    address: req.socket.remoteAddress,
+    userAgent: req.headers['user-agent'] || null
+  };
+}
+
+// Query parameter times are milliseconds since the epoch or ISO dates
+function parseTime(value, fallback) {
+  if (!value) return fallback;
+  return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+}
+
+// Expand a leading ~ in configured paths
+function expandHome(dirPath) {
+  if (dirPath === '~' || dirPath.startsWith('~/')) {
+    return path.join(require('os').homedir(), dirPath.slice(1));
+  }
+  return dirPath;
+}
+
 // Start server
 if (require.main === module) {
   const port = process.env.PORT || 47832;
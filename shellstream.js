@@ -11,41 +11,108 @@ const path = require('path');
 const fs = require('fs');
 const { spawn, exec } = require('child_process');
 const net = require('net');
+const { ensureAuthToken, getConfigPath, loadConfig, isTlsEnabled } = require('./config');
+const { CastRecorder } = require('./asciicast');
+const { PromptDetector } = require('./prompts');
+const { CertificateError, resolveTlsOptions, describeTlsError } = require('./certs');
+const { loadMacros, describeMacros, resolveMacroName, runMacro } = require('./macros');
+const { negotiateProtocol, encodeOutputFrame } = require('./protocol');
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+const OUTPUT_COALESCE_MS = 5;
+const MAX_COALESCED_CHARS = 64 * 1024;
+// Meant for this wrapper only (the server sets them when it launches one).
+// The program in the PTY must not see the token, and a shellstream started
+// inside it must not take over this session's id.
+const WRAPPER_ENV = ['SHELLSTREAM_TOKEN', 'SHELLSTREAM_SERVER', 'MONITOR_SESSION_ID', 'MONITOR_NAME'];
 
 class Shellstream {
   constructor(command, args = [], options = {}) {
     this.command = command;
     this.args = args;
     this.sessionId = options.sessionId || uuidv4();
-    this.serverPort = options.serverPort || process.env.SHELLSTREAM_PORT || 47832;
-    this.serverUrl = options.serverUrl || process.env.SHELLSTREAM_SERVER || `ws://localhost:${this.serverPort}`;
+    const fileConfig = loadConfig();
+    const defaultPort = options.serverPort || process.env.SHELLSTREAM_PORT || 47832;
+    const defaultScheme = isTlsEnabled(fileConfig) ? 'wss' : 'ws';
+    this.serverUrl = options.serverUrl || process.env.SHELLSTREAM_SERVER || `${defaultScheme}://localhost:${defaultPort}`;
+    // A server on another machine (e.g. a relay hub) is used as is, never started here
+    const serverAddress = new URL(this.serverUrl);
+    this.serverIsLocal = LOCAL_HOSTS.includes(serverAddress.hostname);
+    this.serverPort = serverAddress.port || defaultPort;
+    this.webUrl = `${serverAddress.protocol === 'wss:' ? 'https:' : 'http:'}//${serverAddress.host}`;
     this.projectPath = options.cwd || process.cwd();
     this.projectName = options.name || `${command}-${path.basename(this.projectPath)}`;
-    this.isInteractive = process.stdin.isTTY;
+    // Initial metadata; later edits in the web UI are kept by the server
+    this.displayName = options.displayName || null;
+    this.tags = options.tags || [];
+    // The token is only printed when it was just created: launched sessions
+    // log their output to a file
+    this.newToken = !options.authToken && !process.env.SHELLSTREAM_TOKEN && !fileConfig.auth.token;
+    this.authToken = options.authToken || ensureAuthToken();
+    // Headless sessions (e.g. launched from the web UI) have no local terminal
+    this.headless = Boolean(options.headless);
+    this.isInteractive = !this.headless && process.stdin.isTTY;
+    this.cols = options.cols || process.stdout.columns || 80;
+    this.rows = options.rows || process.stdout.rows || 24;
     this.ptyProcess = null;
+    this.recordPath = options.recordPath || null;
+    this.recorder = null;
     this.ws = null;
     this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 10;
     this.reconnectDelay = 1000;
+    this.reconnectTimer = null;
+    // Output is numbered so the server can tell us which chunks it is missing
+    // after a reconnect; the buffer doubles as the offline spool
+    this.streamId = uuidv4();
+    this.outputSeq = 0;
     this.outputBuffer = [];
+    this.outputBufferBytes = 0;
+    this.resumed = false;
+    // Output written within a few milliseconds is sent as one chunk
+    this.pendingOutput = '';
+    this.pendingOutputAt = null;
+    this.outputTimer = null;
+    // Binary output frames, if the server's 'registered' reply allows them
+    this.serverProtocol = 0;
     this.inputHistory = [];
     this.connected = false;
+    this.exiting = false;
+    this.startedAt = null;
     this.serverAutoStarted = false;
     this.suppressLocalOutput = false; // Flag to suppress output when remote input is active
+    // Who may type from the web: everyone allowed (shared), nobody (locked)
+    // or a single web user the local user handed the keyboard to
+    this.inputLocked = false;
+    this.inputHolder = null;
+    this.pendingControlRequest = null;
+    this.controlMenuPending = false;
     
     // Configuration
     this.config = {
       enableRemote: options.enableRemote !== false,
       autoStartServer: options.autoStartServer !== false,
       captureOutput: true,
-      allowRemoteInput: true,
-      bufferSize: 1000,
+      allowRemoteInput: resolveAllowRemoteInput(options.allowRemoteInput, fileConfig),
+      spoolBytes: fileConfig.wrapper.spoolMB * 1024 * 1024,
+      maxReconnectDelay: fileConfig.wrapper.maxReconnectDelaySeconds * 1000,
+      tlsFingerprint: process.env.SHELLSTREAM_TLS_FINGERPRINT || fileConfig.wrapper.tlsFingerprint,
       serverPath: options.serverPath || path.join(__dirname, 'server.js'),
-      env: options.env || process.env,
+      env: options.env || ptyEnvironment(process.env),
       shell: options.shell || false,
       ...options.config
     };
     
+    // Quick commands the web UI can run (built-in, config.json and .shellstream.json)
+    this.macros = loadMacros(this.projectPath, fileConfig);
+    this.macroQueue = Promise.resolve();
+    
+    // Prompt detection (reported to the server so the web UI can notify)
+    this.promptDetector = fileConfig.prompts.enabled === false ? null : new PromptDetector({
+      ...fileConfig.prompts,
+      onPrompt: (prompt) => this.sendPrompt(prompt),
+      onClear: () => this.sendToServer({ type: 'prompt_cleared', timestamp: Date.now() })
+    });
+    
   }
 
   async start() {
@@ -55,6 +122,12 @@ class Shellstream {
     console.error(`[Shellstream] Streaming: ${this.command} ${this.args.join(' ')}`);
     console.error(`[Shellstream] Session ID: ${this.sessionId}`);
     console.error(`[Shellstream] Directory: ${this.projectPath}`);
+    if (this.newToken) {
+      console.error(`[Shellstream] Access token: ${this.authToken}`);
+      console.error(`[Shellstream] Web UI: ${this.webUrl}/?token=${this.authToken}`);
+    } else {
+      console.error(`[Shellstream] Web UI: ${this.webUrl} (shellstream --token prints the access token)`);
+    }
     
     // Ensure server is running if remote is enabled
     if (this.config.enableRemote && this.config.autoStartServer) {
@@ -70,7 +143,9 @@ class Shellstream {
     }
     
     // Set up local input handling
-    this.setupLocalInput();
+    if (!this.headless) {
+      this.setupLocalInput();
+    }
     
     // Handle process termination
     this.setupCleanup();
@@ -82,66 +157,67 @@ class Shellstream {
     // Spawn process in a PTY
     this.ptyProcess = pty.spawn(this.command, this.args, {
       name: 'xterm-256color',
-      cols: process.stdout.columns || 80,
-      rows: process.stdout.rows || 24,
+      cols: this.cols,
+      rows: this.rows,
       cwd: this.projectPath,
       env: this.config.env,
       shell: this.config.shell
     });
+    this.startedAt = Date.now();
+    
+    // Record locally - independent of the server connection
+    if (this.recordPath) {
+      this.recorder = new CastRecorder(this.recordPath, {
+        cols: this.ptyProcess.cols,
+        rows: this.ptyProcess.rows,
+        title: this.projectName,
+        command: [this.command, ...this.args].join(' ')
+      });
+      console.error(`[Shellstream] Recording to ${this.recordPath}`);
+    }
 
     // Handle PTY output - conditionally pass through to local terminal and capture
     this.ptyProcess.onData((data) => {
       // Only pass through to local terminal if not suppressing (i.e., not from remote input)
-      if (!this.suppressLocalOutput) {
+      if (!this.suppressLocalOutput && !this.headless) {
         process.stdout.write(data);
       }
       
-      // Capture and buffer output
-      if (this.config.captureOutput) {
-        this.bufferOutput(data);
+      if (this.recorder) {
+        this.recorder.writeOutput(data);
       }
       
-      // Send to server if connected
-      if (this.connected && this.ws) {
-        this.sendToServer({
-          type: 'output',
-          data: data,
-          timestamp: Date.now()
-        });
+      if (this.promptDetector) {
+        this.promptDetector.handleOutput(data);
       }
       
+      // Capture, buffer and send (coalesced with whatever follows right away)
+      this.queueOutput(data);
     });
 
     // Handle PTY exit
     this.ptyProcess.onExit(({ exitCode, signal }) => {
       console.error(`\n[Monitor] Process exited (code: ${exitCode}, signal: ${signal})`);
-      
-      // Send exit notification to server
-      if (this.connected) {
-        this.sendToServer({
-          type: 'process_exit',
-          exitCode,
-          signal,
-          timestamp: Date.now()
-        });
-      }
-      
-      this.cleanup();
-      process.exit(exitCode);
+      this.exit(exitCode, { exitCode, signal: signalName(signal) });
     });
 
     // Handle terminal resize
+    if (this.headless) return;
     process.stdout.on('resize', () => {
-      this.ptyProcess.resize(
-        process.stdout.columns,
-        process.stdout.rows
-      );
+      this.cols = process.stdout.columns;
+      this.rows = process.stdout.rows;
+      this.ptyProcess.resize(this.cols, this.rows);
+      
+      if (this.recorder) {
+        this.recorder.writeResize(this.cols, this.rows);
+      }
       
       if (this.connected) {
         this.sendToServer({
           type: 'resize',
-          cols: process.stdout.columns,
-          rows: process.stdout.rows
+          cols: this.cols,
+          rows: this.rows,
+          timestamp: Date.now()
         });
       }
     });
@@ -151,6 +227,11 @@ class Shellstream {
   // ... (rest of the methods remain largely the same as claude-wrapper.js)
   
   async ensureServerRunning() {
+    if (!this.serverIsLocal) {
+      console.error(`[Monitor] Using remote server ${this.serverUrl}`);
+      return;
+    }
+    
     const isRunning = await this.isServerRunning();
     
     if (!isRunning) {
@@ -205,7 +286,7 @@ class Shellstream {
       serverProcess.unref();
       
       console.error(`[Monitor] Server started`);
-      console.error(`[Monitor] Web UI available at http://localhost:${this.serverPort}`);
+      console.error(`[Monitor] Web UI available at ${this.webUrl}`);
       this.serverAutoStarted = true;
       
       setTimeout(() => {
@@ -223,18 +304,42 @@ class Shellstream {
   }
 
   async connectToServer() {
+    console.error(`[Monitor] Connecting to server: ${this.serverUrl}`);
+    
+    // Check the server's certificate before the token is sent (wss:// only)
+    let tlsOptions;
+    try {
+      tlsOptions = await resolveTlsOptions(this.serverUrl, { fingerprint: this.config.tlsFingerprint });
+    } catch (err) {
+      if (err instanceof CertificateError) {
+        console.error(`[Monitor] ${err.message}; refusing to connect`);
+      } else if (this.reconnectAttempts === 0) {
+        console.error('[Monitor] Could not connect to server, continuing locally');
+      }
+      this.attemptReconnect();
+      return;
+    }
+    
     return new Promise((resolve) => {
-      console.error(`[Monitor] Connecting to server: ${this.serverUrl}`);
-      
       // Simple compression config - let server negotiate details
       this.ws = new WebSocket(this.serverUrl, {
-        perMessageDeflate: true  // Enable compression with defaults
+        perMessageDeflate: true,  // Enable compression with defaults
+        headers: {
+          Authorization: `Bearer ${this.authToken}`
+        },
+        ...tlsOptions
       });
       
       this.ws.on('open', () => {
-        console.error('[Monitor] Connected to central server');
-        console.error(`[Monitor] Web UI: http://localhost:${this.serverPort}`);
+        if (this.reconnectAttempts > 0) {
+          console.error(`[Monitor] Reconnected to central server after ${this.reconnectAttempts} attempt(s)`);
+        } else {
+          console.error('[Monitor] Connected to central server');
+          console.error(`[Monitor] Web UI: ${this.webUrl}`);
+        }
         this.connected = true;
+        this.resumed = false;
+        this.serverProtocol = 0;
         this.reconnectAttempts = 0;
         
         // Register session with program info
@@ -247,18 +352,19 @@ class Shellstream {
           args: this.args,
           hostname: os.hostname(),
           platform: os.platform(),
-          cols: process.stdout.columns,
-          rows: process.stdout.rows
+          startedAt: this.startedAt,
+          headless: this.headless,
+          allowRemoteInput: this.config.allowRemoteInput,
+          inputLocked: this.inputLocked,
+          macros: describeMacros(this.macros),
+          displayName: this.displayName,
+          tags: this.tags,
+          streamId: this.streamId,
+          cols: this.cols,
+          rows: this.rows
         });
         
-        // Send buffered output if any
-        if (this.outputBuffer.length > 0) {
-          this.sendToServer({
-            type: 'history',
-            data: this.outputBuffer
-          });
-        }
-        
+        // Buffered output is sent once the server replies with 'registered'
         resolve();
       });
       
@@ -272,13 +378,20 @@ class Shellstream {
       });
       
       this.ws.on('close', () => {
-        console.error('[Monitor] Disconnected from server');
         this.connected = false;
+        this.resumed = false;
+        if (this.exiting) return;
+        console.error('[Monitor] Disconnected from server');
         this.attemptReconnect();
       });
       
       this.ws.on('error', (err) => {
-        if (this.reconnectAttempts === 0) {
+        const certificateProblem = describeTlsError(err, this.serverUrl);
+        if (certificateProblem) {
+          console.error(`[Monitor] ${certificateProblem}`);
+        } else if (/Unexpected server response: 401/.test(err.message)) {
+          console.error(`[Monitor] Server rejected the access token (see ${getConfigPath()})`);
+        } else if (this.reconnectAttempts === 0) {
           console.error('[Monitor] Could not connect to server, continuing locally');
         }
       });
@@ -295,10 +408,14 @@ class Shellstream {
     process.stdin.setEncoding('utf8');
     
     process.stdin.on('data', (data) => {
+      // Answers to control requests and the Ctrl+Q menu are not typed into the process
+      if (this.handleControlKeys(data)) return;
+      
       // Send to process PTY
       if (this.ptyProcess) {
         this.ptyProcess.write(data);
       }
+      this.handleInputForPrompt();
       
       // Track input history
       this.inputHistory.push({
@@ -327,18 +444,103 @@ class Shellstream {
       console.error(`\n[Monitor] Session ID: ${this.sessionId}`);
       console.error(`[Monitor] Command: ${this.command} ${this.args.join(' ')}`);
       console.error(`[Monitor] Server: ${this.connected ? 'Connected' : 'Disconnected'}`);
-      console.error(`[Monitor] Web UI: http://localhost:${this.serverPort}`);
+      console.error(`[Monitor] Web UI: ${this.webUrl}`);
       console.error(`[Monitor] Buffer: ${this.outputBuffer.length} entries`);
       console.error(`[Monitor] Project: ${this.projectName}`);
+      console.error(`[Monitor] Input: ${this.describeInputControl()}`);
+      console.error('[Monitor] Press L to lock/unlock input to this terminal, R to take back the keyboard');
+      this.controlMenuPending = true;
     }
   }
 
+  // Returns true when the keypress was consumed
+  handleControlKeys(data) {
+    if (this.pendingControlRequest) {
+      this.answerControlRequest(data.toLowerCase() === 'y');
+      return true;
+    }
+    
+    if (this.controlMenuPending) {
+      this.controlMenuPending = false;
+      const key = data.toLowerCase();
+      if (key === 'l') {
+        this.setInputControl(this.inputLocked ? 'shared' : 'local');
+        return true;
+      }
+      if (key === 'r') {
+        this.setInputControl('shared');
+        return true;
+      }
+    }
+    
+    return false;
+  }
+
+  // Local changes to who may type from the web
+  setInputControl(mode) {
+    this.inputLocked = mode === 'local';
+    this.inputHolder = null;
+    console.error(`\n[Monitor] Input: ${this.describeInputControl()}`);
+    this.sendToServer({ type: 'input_control', mode });
+  }
+
+  describeInputControl() {
+    if (!this.config.allowRemoteInput) return 'local only (remote input disabled)';
+    if (this.inputLocked) return 'locked to this terminal';
+    if (this.inputHolder) return `shared with ${this.inputHolder.name} (${this.inputHolder.role})`;
+    return 'shared with web controllers';
+  }
+
+  handleControlRequest(msg) {
+    const deny = reason => this.sendToServer({
+      type: 'control_response',
+      requestId: msg.requestId,
+      granted: false,
+      reason
+    });
+    
+    if (!this.isInteractive) {
+      deny('Nobody is at this terminal to approve the request');
+      return;
+    }
+    if (this.pendingControlRequest) {
+      deny('Another request is waiting for an answer');
+      return;
+    }
+    
+    const requester = msg.requester || {};
+    this.pendingControlRequest = {
+      requestId: msg.requestId,
+      requester,
+      // Unanswered requests are declined
+      timer: setTimeout(() => this.answerControlRequest(false, 'Request timed out'), 30000)
+    };
+    console.error(`\n[Monitor] ${requester.name || 'A web user'} (${requester.role || 'viewer'}) asks for the keyboard. Allow? [y/N]`);
+  }
+
+  answerControlRequest(granted, reason) {
+    const request = this.pendingControlRequest;
+    if (!request) return;
+    
+    clearTimeout(request.timer);
+    this.pendingControlRequest = null;
+    this.sendToServer({
+      type: 'control_response',
+      requestId: request.requestId,
+      granted,
+      reason: granted ? undefined : (reason || 'Request declined at the terminal')
+    });
+    console.error(`\n[Monitor] ${granted ? 'Handed the keyboard to' : 'Declined request from'} ${request.requester.name || 'web user'}` +
+      (granted ? ' (Ctrl+Q, R to take it back)' : ''));
+  }
+
   handleServerMessage(msg) {
     switch (msg.type) {
       case 'input':
         // Remote input injection
-        if (this.config.allowRemoteInput && this.ptyProcess) {
+        if (this.config.allowRemoteInput && !this.inputLocked && this.ptyProcess) {
           this.ptyProcess.write(msg.data);
+          this.handleInputForPrompt();
           
           this.inputHistory.push({
             data: msg.data,
@@ -349,8 +551,42 @@ class Shellstream {
         break;
         
       case 'command':
-        // Execute special commands
-        this.executeRemoteCommand(msg);
+        // Execute special commands (they type into the process too)
+        if (this.config.allowRemoteInput && !this.inputLocked) {
+          this.executeRemoteCommand(msg);
+          this.handleInputForPrompt();
+        }
+        break;
+        
+      case 'kill':
+        // Sent from the web UI; the process's exit ends the wrapper as usual
+        if (this.ptyProcess) {
+          console.error(`\n[Monitor] Received ${msg.signal} from the web UI`);
+          try {
+            this.ptyProcess.kill(msg.signal);
+          } catch (err) {
+            console.error(`[Monitor] Could not send ${msg.signal}: ${err.message}`);
+            this.sendToServer({ type: 'kill_failed', signal: msg.signal, error: err.message });
+          }
+        }
+        break;
+        
+      case 'registered':
+        this.serverProtocol = negotiateProtocol(msg.protocol);
+        this.resume(msg.lastSeq || 0);
+        break;
+        
+      case 'control_request':
+        this.handleControlRequest(msg);
+        break;
+        
+      case 'input_control':
+        // Input was locked, unlocked or handed over from the web UI
+        this.inputLocked = msg.mode === 'local';
+        this.inputHolder = msg.mode === 'holder' ? msg.holder : null;
+        if (this.isInteractive) {
+          console.error(`\n[Monitor] Input: ${this.describeInputControl()}`);
+        }
         break;
         
       case 'request_history':
@@ -369,54 +605,109 @@ class Shellstream {
   }
 
   executeRemoteCommand(msg) {
-    switch (msg.command) {
-      case 'approve':
-      case 'yes':
-        if (this.ptyProcess) {
-          this.ptyProcess.write('y\n');
-          console.error('[Monitor] Remote approval sent');
-        }
-        break;
-        
-      case 'reject':
-      case 'no':
-        if (this.ptyProcess) {
-          this.ptyProcess.write('n\n');
-          console.error('[Monitor] Remote rejection sent');
-        }
-        break;
-        
-      case 'interrupt':
-        if (this.ptyProcess) {
-          this.ptyProcess.write('\x03');
-          console.error('[Monitor] Remote interrupt sent (Ctrl+C)');
-        }
-        break;
-        
-      case 'eof':
-        if (this.ptyProcess) {
-          this.ptyProcess.write('\x04');
-          console.error('[Monitor] Remote EOF sent (Ctrl+D)');
-        }
-        break;
-        
-      case 'clear':
+    const macro = this.macros.get(resolveMacroName(msg.command, name => this.macros.has(name)));
+    if (!macro) {
+      console.error(`[Monitor] Unknown remote command: ${msg.command}`);
+      return;
+    }
+    
+    // Macros run one after another, so their steps never interleave
+    this.macroQueue = this.macroQueue.then(async () => {
+      await runMacro(macro, data => {
         if (this.ptyProcess) {
-          this.ptyProcess.write('\x0c');
+          this.ptyProcess.write(data);
         }
-        break;
-    }
+      });
+      console.error(`[Monitor] Remote command sent: ${macro.label}`);
+    }).catch(err => {
+      console.error(`[Monitor] Macro ${macro.name} failed: ${err.message}`);
+    });
   }
 
-  bufferOutput(data) {
-    this.outputBuffer.push({
-      data: data,
-      timestamp: Date.now()
+  sendPrompt(prompt) {
+    this.sendToServer({
+      type: 'prompt_detected',
+      data: prompt.text,
+      rule: prompt.rule,
+      reason: prompt.reason,
+      timestamp: prompt.timestamp
     });
+  }
+
+  handleInputForPrompt() {
+    if (this.promptDetector) {
+      this.promptDetector.handleInput();
+    }
+  }
+
+  // Resend whatever the server is missing, then go back to live output
+  resume(lastSeq) {
+    const missing = this.outputBuffer.filter(entry => entry.seq > lastSeq);
+    if (missing.length > 0 && missing[0].seq > lastSeq + 1) {
+      console.error(`[Monitor] Output spool overflowed while offline; ${missing[0].seq - lastSeq - 1} chunk(s) were not delivered`);
+    }
+    if (missing.length > 0) {
+      this.sendToServer({
+        type: 'history',
+        data: missing
+      });
+    }
+    this.resumed = true;
+    
+    // A prompt may have appeared while we were offline
+    if (this.promptDetector && this.promptDetector.active) {
+      this.sendPrompt(this.promptDetector.active);
+    }
+  }
+
+  // Chatty programs write many tiny chunks; collecting them for a moment
+  // turns each burst into one numbered chunk and one message
+  queueOutput(data) {
+    if (!this.pendingOutput) {
+      this.pendingOutputAt = Date.now();
+    }
+    this.pendingOutput += data;
+    
+    if (this.pendingOutput.length >= MAX_COALESCED_CHARS) {
+      this.flushOutput();
+    } else if (!this.outputTimer) {
+      this.outputTimer = setTimeout(() => this.flushOutput(), OUTPUT_COALESCE_MS);
+    }
+  }
+  
+  flushOutput() {
+    clearTimeout(this.outputTimer);
+    this.outputTimer = null;
+    if (!this.pendingOutput) return;
     
-    // Limit buffer size
-    if (this.outputBuffer.length > this.config.bufferSize) {
-      this.outputBuffer.shift();
+    const entry = { data: this.pendingOutput, timestamp: this.pendingOutputAt, seq: ++this.outputSeq };
+    this.pendingOutput = '';
+    if (this.config.captureOutput) {
+      this.bufferOutput(entry);
+    }
+    
+    // Send to server once it has told us where to resume; until then the
+    // spool holds it
+    if (this.connected && this.resumed) {
+      this.sendOutput(entry);
+    }
+  }
+  
+  sendOutput(entry) {
+    if (this.serverProtocol && this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(encodeOutputFrame({ ...entry, sessionId: this.sessionId }));
+    } else {
+      this.sendToServer({ type: 'output', ...entry });
+    }
+  }
+
+  bufferOutput(entry) {
+    this.outputBuffer.push(entry);
+    this.outputBufferBytes += entry.data.length;
+    
+    // Limit spool size, dropping the oldest output first
+    while (this.outputBuffer.length > 1 && this.outputBufferBytes > this.config.spoolBytes) {
+      this.outputBufferBytes -= this.outputBuffer.shift().data.length;
     }
   }
 
@@ -429,27 +720,32 @@ class Shellstream {
     }
   }
 
+  // Keep trying for as long as the program runs; output is spooled meanwhile
   attemptReconnect() {
-    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-      console.error('[Monitor] Max reconnection attempts reached');
-      return;
-    }
+    if (this.exiting || this.reconnectTimer) return;
     
     this.reconnectAttempts++;
-    const delay = this.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1);
+    const backoff = this.reconnectDelay * Math.pow(2, Math.min(this.reconnectAttempts - 1, 16));
+    const delay = Math.round(Math.min(backoff, this.config.maxReconnectDelay) * (0.8 + Math.random() * 0.4));
     
-    console.error(`[Monitor] Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
+    // Don't flood the terminal during a long outage
+    if (this.reconnectAttempts <= 3 || this.reconnectAttempts % 10 === 0) {
+      console.error(`[Monitor] Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
+    }
     
-    setTimeout(() => {
-      this.connectToServer();
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (!this.exiting) {
+        this.connectToServer();
+      }
     }, delay);
   }
 
   setupCleanup() {
-    const cleanup = () => {
+    // The wrapped process is taken down with us, so report it as killed
+    const cleanup = (signal) => {
       console.error('\n[Monitor] Cleaning up...');
-      this.cleanup();
-      process.exit(0);
+      this.exit(0, { exitCode: null, signal });
     };
     
     process.on('SIGINT', cleanup);
@@ -457,11 +753,67 @@ class Shellstream {
     process.on('exit', () => this.cleanup());
   }
 
+  // Report how the process ended, let queued messages reach the server, then exit
+  async exit(code, { exitCode, signal }) {
+    if (this.exiting) return;
+    this.exiting = true;
+    this.flushOutput();
+    
+    if (this.connected) {
+      this.sendToServer({
+        type: 'process_exit',
+        exitCode,
+        signal,
+        timestamp: Date.now()
+      });
+    }
+    
+    await this.closeConnection();
+    this.cleanup();
+    process.exit(code);
+  }
+
+  // Close the server connection gracefully, waiting (briefly) for buffered data to go out
+  closeConnection(timeout = 2000) {
+    return new Promise(resolve => {
+      if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+        return resolve();
+      }
+      
+      this.sendToServer({
+        type: 'disconnect',
+        timestamp: Date.now()
+      });
+      
+      const timer = setTimeout(resolve, timeout);
+      this.ws.once('close', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      this.ws.close();
+    });
+  }
+
   cleanup() {
+    clearTimeout(this.reconnectTimer);
+    clearTimeout(this.outputTimer);
+    if (this.pendingControlRequest) {
+      clearTimeout(this.pendingControlRequest.timer);
+    }
+    
     if (this.ptyProcess) {
       this.ptyProcess.kill();
     }
     
+    if (this.recorder) {
+      this.recorder.close();
+      this.recorder = null;
+    }
+    
+    if (this.promptDetector) {
+      this.promptDetector.dispose();
+    }
+    
     if (this.ws) {
       this.sendToServer({
         type: 'disconnect',
@@ -476,6 +828,31 @@ class Shellstream {
   }
 }
 
+// node-pty reports signals as numbers; the server and UI show names
+function signalName(signal) {
+  if (!signal) return null;
+  const name = Object.keys(os.constants.signals).find(key => os.constants.signals[key] === signal);
+  return name || String(signal);
+}
+
+function ptyEnvironment(env) {
+  const clean = { ...env };
+  WRAPPER_ENV.forEach(name => delete clean[name]);
+  return clean;
+}
+
+// Remote input: --no-remote-input, then SHELLSTREAM_REMOTE_INPUT=0|1, then the config file
+function resolveAllowRemoteInput(option, config) {
+  if (typeof option === 'boolean') {
+    return option;
+  }
+  const env = process.env.SHELLSTREAM_REMOTE_INPUT;
+  if (env !== undefined && env !== '') {
+    return !['0', 'false', 'no', 'off'].includes(env.toLowerCase());
+  }
+  return config.wrapper.allowRemoteInput !== false;
+}
+
 // Helper functions for server management
 async function getServerStatus(port) {
   const isRunning = await checkServerRunning(port);
@@ -501,6 +878,38 @@ async function checkServerRunning(port) {
   });
 }
 
+// Call the local server's API, over HTTPS when TLS is enabled
+async function requestLocalServer(port, method, apiPath) {
+  const secure = isTlsEnabled();
+  const tlsOptions = secure ? await resolveTlsOptions(`wss://localhost:${port}`) : {};
+  const client = secure ? require('https') : require('http');
+  
+  return new Promise((resolve, reject) => {
+    const req = client.request({
+      hostname: 'localhost',
+      port: port,
+      path: apiPath,
+      method: method,
+      headers: {
+        'Authorization': `Bearer ${ensureAuthToken()}`
+      },
+      ...tlsOptions
+    }, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => resolve({
+        ok: res.statusCode >= 200 && res.statusCode < 300,
+        statusText: res.statusMessage,
+        body: body
+      }));
+    });
+    
+    req.on('error', reject);
+    req.setTimeout(5000, () => req.destroy(new Error('Timeout')));
+    req.end();
+  });
+}
+
 async function stopServer(port) {
   try {
     // First check if server is running
@@ -511,15 +920,9 @@ async function stopServer(port) {
     }
     
     // Send shutdown request to the server
-    const response = await fetch(`http://localhost:${port}/api/shutdown`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      }
-    });
+    const response = await requestLocalServer(port, 'POST', '/api/shutdown');
     
     if (response.ok) {
-      const data = await response.json();
       console.log('Server shutdown initiated');
       
       // Wait a moment for server to actually stop
@@ -560,6 +963,53 @@ async function showServerLogs() {
   console.log(lastLines);
 }
 
+// Split leading shellstream options from the command to run
+function parseArgs(args) {
+  const options = {};
+  let i = 0;
+  
+  while (i < args.length && args[i].startsWith('--')) {
+    const flag = args[i];
+    if (flag === '--record') {
+      if (!args[i + 1]) {
+        throw new Error('--record requires a file path');
+      }
+      options.recordPath = path.resolve(args[i + 1]);
+      i += 2;
+    } else if (flag === '--no-remote-input') {
+      options.allowRemoteInput = false;
+      i += 1;
+    } else if (flag === '--headless') {
+      options.headless = true;
+      i += 1;
+    } else if (flag === '--name') {
+      if (!args[i + 1]) {
+        throw new Error('--name requires a name');
+      }
+      options.displayName = args[i + 1];
+      i += 2;
+    } else if (flag === '--tag') {
+      if (!args[i + 1]) {
+        throw new Error('--tag requires a tag');
+      }
+      options.tags = [...(options.tags || []), args[i + 1]];
+      i += 2;
+    } else if (flag === '--size') {
+      const match = /^(\d+)x(\d+)$/.exec(args[i + 1] || '');
+      if (!match) {
+        throw new Error('--size requires COLSxROWS, e.g. 120x40');
+      }
+      options.cols = Number(match[1]);
+      options.rows = Number(match[2]);
+      i += 2;
+    } else {
+      throw new Error(`Unknown option: ${flag}`);
+    }
+  }
+  
+  return { options, command: args[i], commandArgs: args.slice(i + 1) };
+}
+
 // Main execution
 if (require.main === module) {
   // Parse command line arguments
@@ -577,7 +1027,7 @@ if (require.main === module) {
           console.log(`  Status:     ${status.isRunning ? '✓ Running' : '✗ Stopped'}`);
           console.log(`  Port:       ${status.port}`);
           if (status.isRunning) {
-            console.log(`  Web UI:     http://localhost:${status.port}`);
+            console.log(`  Web UI:     ${isTlsEnabled() ? 'https' : 'http'}://localhost:${status.port}`);
           }
           console.log('═══════════════════════════════════════');
           process.exit(0);
@@ -610,6 +1060,11 @@ if (require.main === module) {
         showServerLogs();
         process.exit(0);
         return;
+        
+      case '--token':
+        console.log(ensureAuthToken());
+        process.exit(0);
+        return;
     }
   }
   
@@ -618,15 +1073,24 @@ if (require.main === module) {
 🚀 Shellstream - Stream terminal sessions to the web
 
 USAGE
-  shellstream <command> [args...]
+  shellstream [options] <command> [args...]
   shellstream --help                        # Show this help message
   ss <command> [args...]                    # Short alias
 
+OPTIONS
+  --record <file.cast>                      # Also record to an asciinema v2 file
+  --headless                                # Run without a local terminal (web only)
+  --no-remote-input                         # Web viewers can watch but not type
+  --size <COLSxROWS>                        # Terminal size, e.g. 120x40
+  --name <name>                             # Name shown for the session in the web UI
+  --tag <tag>                               # Tag the session (repeatable)
+
 SERVER MANAGEMENT
   shellstream --status                      # Check server status
   shellstream --stop                        # Stop the server
   shellstream --restart                      # Restart the server  
   shellstream --logs                        # View server logs
+  shellstream --token                       # Print the web/API access token
 
 EXAMPLES  
   shellstream bash                          # Stream a bash shell
@@ -634,9 +1098,13 @@ EXAMPLES
   shellstream npm run dev                   # Stream development server
   shellstream docker-compose up            # Stream container logs
   shellstream python -m http.server        # Stream Python server
+  shellstream --record build.cast make      # Stream and record a build
 
 KEYBOARD SHORTCUTS
   Ctrl+Q      Show session info and web URL
+  Ctrl+Q, L   Lock input to this terminal (again to unlock)
+  Ctrl+Q, R   Take back the keyboard from a web user
+  y / n       Answer a web user's request for the keyboard
   Ctrl+C      Interrupt the running process
 
 WEB INTERFACE
@@ -644,24 +1112,52 @@ WEB INTERFACE
   
 Visit the web interface to view your terminal sessions from any device.
 Multiple sessions are grouped by directory with tabbed interface.
+Log in with the access token printed on startup (or \`shellstream --token\`).
+The token is stored in ~/.shellstream/config.json.
+Quick-command buttons (macros) come from the "macros" section of that file
+and of .shellstream.json in the project directory.
 
 ENVIRONMENT VARIABLES
-  SHELLSTREAM_PORT      Port for web server (default: 47832)
-  SHELLSTREAM_SERVER    WebSocket server URL (default: ws://localhost:47832)
+  SHELLSTREAM_PORT          Port for web server (default: 47832)
+  SHELLSTREAM_SERVER        WebSocket server URL (default: ws://localhost:47832);
+                            a remote server is not auto-started
+  SHELLSTREAM_TOKEN         Access token (overrides the config file)
+  SHELLSTREAM_HOME          Config directory (default: ~/.shellstream)
+  SHELLSTREAM_REMOTE_INPUT  Set to 0 to refuse input from the web UI
+  SHELLSTREAM_TLS_FINGERPRINT
+                            Expected SHA-256 fingerprint of a wss:// server's
+                            certificate (otherwise trusted on first use)
     `);
     process.exit(0);
   }
   
-  // Extract command and arguments
-  const command = args[0];
-  const commandArgs = args.slice(1);
+  // Extract options, command and arguments
+  let parsed;
+  try {
+    parsed = parseArgs(args);
+  } catch (err) {
+    console.error(`[Shellstream] ${err.message}`);
+    process.exit(1);
+  }
+  const { options, command, commandArgs } = parsed;
+  if (!command) {
+    console.error('[Shellstream] No command given (see shellstream --help)');
+    process.exit(1);
+  }
   
   // Create wrapper instance
   const wrapper = new Shellstream(command, commandArgs, {
     serverUrl: process.env.MONITOR_SERVER_URL,
     serverPort: process.env.MONITOR_SERVER_PORT,
     sessionId: process.env.MONITOR_SESSION_ID,
-    name: process.env.MONITOR_NAME
+    name: process.env.MONITOR_NAME,
+    displayName: options.displayName,
+    tags: options.tags,
+    recordPath: options.recordPath,
+    headless: options.headless,
+    allowRemoteInput: options.allowRemoteInput,
+    cols: options.cols,
+    rows: options.rows
   });
   
   // Start monitoring
@@ -672,3 +1168,4 @@ ENVIRONMENT VARIABLES
 }
 
 module.exports = Shellstream;
+module.exports.requestLocalServer = requestLocalServer;
@@ -0,0 +1,70 @@
+// Reading asciicast v2 recordings back into session history
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCast, castToHistory, historyToCast } = require('../asciicast');
+
+const CAST = [
+  JSON.stringify({ version: 2, width: 100, height: 30, timestamp: 1700000000 }),
+  JSON.stringify([0.5, 'o', 'hello\r\n']),
+  JSON.stringify([1.25, 'i', 'ls\r']),
+  JSON.stringify([2, 'r', '120x40']),
+  JSON.stringify([3, 'm', 'chapter']),
+  ''
+].join('\n');
+
+test('parseCast returns the header and events', () => {
+  const cast = parseCast(CAST);
+
+  assert.strictEqual(cast.header.width, 100);
+  assert.strictEqual(cast.header.height, 30);
+  assert.deepStrictEqual(cast.events, [
+    [0.5, 'o', 'hello\r\n'],
+    [1.25, 'i', 'ls\r'],
+    [2, 'r', '120x40'],
+    [3, 'm', 'chapter']
+  ]);
+});
+
+test('parseCast rejects what is not a v2 recording', () => {
+  assert.throws(() => parseCast(''), /Empty recording/);
+  assert.throws(() => parseCast('not json'), /Header is not valid JSON/);
+  assert.throws(() => parseCast('{"version":1,"width":80,"height":24}'), /Unsupported asciicast version: 1/);
+  assert.throws(() => parseCast('{"version":2}'), /missing terminal width\/height/);
+
+  const header = JSON.stringify({ version: 2, width: 80, height: 24 });
+  assert.throws(() => parseCast(`${header}\n[0, "o"`), /line 2 is not valid JSON/);
+  assert.throws(() => parseCast(`${header}\n[0, "o", "a"]\n["0", "o", "b"]`), /Malformed event on line 3/);
+});
+
+test('castToHistory turns events into timestamped entries', () => {
+  const start = 1700000000 * 1000;
+
+  assert.deepStrictEqual(castToHistory(parseCast(CAST)), [
+    { type: 'resize', cols: 100, rows: 30, timestamp: start },
+    { type: 'output', data: 'hello\r\n', timestamp: start + 500 },
+    { type: 'input', data: 'ls\r', source: 'recording', timestamp: start + 1250 },
+    { type: 'resize', cols: 120, rows: 40, timestamp: start + 2000 }
+  ]);
+});
+
+test('a session exported with historyToCast reads back the same', () => {
+  const start = 1700000000 * 1000;
+  const entries = [
+    { type: 'resize', cols: 90, rows: 20, timestamp: start },
+    { type: 'output', data: '$ ', timestamp: start + 100 },
+    { type: 'input', data: 'x', timestamp: start + 200 },
+    { type: 'resize', cols: 100, rows: 25, timestamp: start + 300 }
+  ];
+  const text = historyToCast({ projectName: 'demo', command: 'bash' }, entries, { includeInput: true });
+
+  const cast = parseCast(text);
+  assert.strictEqual(cast.header.title, 'demo');
+  assert.strictEqual(cast.header.command, 'bash');
+  assert.deepStrictEqual(castToHistory(cast), [
+    entries[0],
+    entries[1],
+    { ...entries[2], source: 'recording' },
+    entries[3]
+  ]);
+});
@@ -0,0 +1,104 @@
+// Reading `git status` for the Git panel
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { parseStatus, getStatus } = require('../git');
+
+const HASH = 'a'.repeat(40);
+const MODES = '100644 100644 100644';
+
+test('parseStatus reads the branch headers', () => {
+  const { branch, files } = parseStatus([
+    `# branch.oid ${HASH}`,
+    '# branch.head main',
+    '# branch.upstream origin/main',
+    '# branch.ab +2 -1',
+    ''
+  ].join('\0'));
+
+  assert.deepStrictEqual(branch, { oid: HASH, head: 'main', detached: false, upstream: 'origin/main', ahead: 2, behind: 1 });
+  assert.deepStrictEqual(files, []);
+
+  const fresh = parseStatus('# branch.oid (initial)\0# branch.head (detached)\0').branch;
+  assert.strictEqual(fresh.oid, null);
+  assert.strictEqual(fresh.detached, true);
+  assert.strictEqual(fresh.head, null);
+});
+
+test('parseStatus keeps spaces in paths and separates staged from unstaged', () => {
+  const { files } = parseStatus([
+    `1 MM N... ${MODES} ${HASH} ${HASH} src/my file.js`,
+    `1 .D N... ${MODES} ${HASH} ${HASH} old  notes.txt`,
+    '? new dir/a b.txt',
+    ''
+  ].join('\0'));
+
+  assert.deepStrictEqual(files.map(change => [change.file, change.status, change.staged, change.unstaged, change.untracked]), [
+    ['src/my file.js', 'modified', 'modified', 'modified', false],
+    ['old  notes.txt', 'deleted', null, 'deleted', false],
+    ['new dir/a b.txt', 'untracked', null, null, true]
+  ]);
+});
+
+test('parseStatus reads renames with their original path and score', () => {
+  const { files } = parseStatus([
+    `2 R. N... ${MODES} ${HASH} ${HASH} R87 docs/new name.md`,
+    'docs/old name.md',
+    `1 A. N... ${MODES} ${HASH} ${HASH} after.js`,
+    ''
+  ].join('\0'));
+
+  assert.strictEqual(files.length, 2);
+  assert.deepStrictEqual(files[0], {
+    file: 'docs/new name.md',
+    status: 'renamed',
+    staged: 'renamed',
+    unstaged: null,
+    conflict: null,
+    untracked: false,
+    origPath: 'docs/old name.md',
+    similarity: 87,
+    submodule: null
+  });
+  assert.strictEqual(files[1].file, 'after.js');
+});
+
+test('parseStatus reads conflicts and submodules', () => {
+  const { files } = parseStatus([
+    `u UU N... 100644 100644 100644 100644 ${HASH} ${HASH} ${HASH} both.txt`,
+    `1 .M SCMU 160000 160000 160000 ${HASH} ${HASH} vendor/lib`,
+    ''
+  ].join('\0'));
+
+  assert.strictEqual(files[0].status, 'conflicted');
+  assert.strictEqual(files[0].conflict, 'both modified');
+  assert.deepStrictEqual(files[1].submodule, { commitChanged: true, modified: true, untracked: true });
+});
+
+test('getStatus below the top gives paths relative to the directory and leaves out denied files', async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'shellstream-git-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const git = (...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: root });
+
+  git('init', '-q');
+  fs.mkdirSync(path.join(root, 'app', 'lib'), { recursive: true });
+  fs.writeFileSync(path.join(root, 'app', 'old name.js'), 'one\ntwo\nthree\n');
+  fs.writeFileSync(path.join(root, 'top.txt'), 'top\n');
+  git('add', '-A');
+  git('commit', '-q', '-m', 'initial');
+
+  git('mv', 'app/old name.js', 'app/lib/new name.js');
+  fs.writeFileSync(path.join(root, 'app', '.env'), 'SECRET=1\n');
+  fs.writeFileSync(path.join(root, 'app', 'notes.md'), 'notes\n');
+  fs.writeFileSync(path.join(root, 'top.txt'), 'changed\n');
+
+  const { files } = await getStatus(path.join(root, 'app'), { deny: ['.env'] });
+  assert.deepStrictEqual(files.map(change => [change.file, change.status, change.origPath]), [
+    ['lib/new name.js', 'renamed', 'old name.js'],
+    ['notes.md', 'untracked', null]
+  ]);
+});
@@ -0,0 +1,50 @@
+// Binary output frames between wrappers, the server and web clients
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { PROTOCOL_VERSION, negotiateProtocol, encodeOutputFrame, decodeFrame } = require('../protocol');
+
+test('an output frame decodes to the message it was made from', () => {
+  const message = { sessionId: 'séance-1', seq: 42, timestamp: 1700000000123.5, data: 'héllo \x1b[1mwörld\x1b[0m 🚀\r\n' };
+
+  assert.deepStrictEqual(decodeFrame(encodeOutputFrame(message)), { type: 'output', ...message });
+});
+
+test('the frame header follows the documented layout', () => {
+  const frame = encodeOutputFrame({ sessionId: 'ab', seq: 7, timestamp: 1000, data: 'x' });
+
+  assert.strictEqual(frame.length, 16 + 2 + 1);
+  assert.strictEqual(frame.readUInt8(0), PROTOCOL_VERSION);
+  assert.strictEqual(frame.readUInt8(1), 1);
+  assert.strictEqual(frame.readUInt32BE(2), 7);
+  assert.strictEqual(frame.readDoubleBE(6), 1000);
+  assert.strictEqual(frame.readUInt16BE(14), 2);
+  assert.strictEqual(frame.toString('utf8', 16), 'abx');
+});
+
+test('a missing sequence number stays missing', () => {
+  const decoded = decodeFrame(encodeOutputFrame({ sessionId: 's', timestamp: 1, data: '' }));
+
+  assert.strictEqual(decoded.seq, undefined);
+  assert.strictEqual(decoded.data, '');
+});
+
+test('bad frames and session ids are refused', () => {
+  assert.throws(() => decodeFrame(Buffer.alloc(10)), /Frame too short/);
+
+  const frame = encodeOutputFrame({ sessionId: 's', timestamp: 1, data: 'x' });
+  frame.writeUInt8(9, 0);
+  assert.throws(() => decodeFrame(frame), /Unsupported protocol version 9/);
+  frame.writeUInt8(PROTOCOL_VERSION, 0);
+  frame.writeUInt8(5, 1);
+  assert.throws(() => decodeFrame(frame), /Unknown frame type 5/);
+
+  assert.throws(() => encodeOutputFrame({ sessionId: 'x'.repeat(0x10000), data: '' }), /Session id too long/);
+});
+
+test('the protocol is only used when both sides offer it', () => {
+  assert.strictEqual(negotiateProtocol([PROTOCOL_VERSION, 99]), PROTOCOL_VERSION);
+  assert.strictEqual(negotiateProtocol(PROTOCOL_VERSION), PROTOCOL_VERSION);
+  assert.strictEqual(negotiateProtocol([99]), 0);
+  assert.strictEqual(negotiateProtocol(undefined), 0);
+});
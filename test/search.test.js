@@ -0,0 +1,59 @@
+// Searching stored session output line by line
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMatcher, historyToLines, searchLines, MAX_CONTEXT } = require('../search');
+
+test('historyToLines joins chunks into plain-text lines', () => {
+  const lines = historyToLines([
+    { type: 'output', data: '\x1b[32mbuild', timestamp: 1 },
+    { type: 'input', data: 'ignored', timestamp: 2 },
+    { type: 'output', data: 'ing\x1b[0m\r\n50%\r100%\r\n', timestamp: 3 },
+    { type: 'resize', cols: 80, rows: 24, timestamp: 4 },
+    { type: 'output', data: 'done', timestamp: 5 }
+  ]);
+
+  assert.deepStrictEqual(lines, [
+    { text: 'building', timestamp: 3 },
+    { text: '100%', timestamp: 3 },
+    { text: 'done', timestamp: 5 }
+  ]);
+});
+
+test('plain matchers ignore case unless asked not to', () => {
+  assert.ok(createMatcher('error')('TypeError: x'));
+  assert.ok(!createMatcher('error', { caseSensitive: true })('TypeError: x'));
+  assert.ok(createMatcher('a.c')('xa.cx'));
+  assert.ok(!createMatcher('a.c')('abc'));
+});
+
+test('regex matchers use the pattern and throw on a bad one', () => {
+  assert.ok(createMatcher('^fail(ed)?$', { regex: true })('FAILED'));
+  assert.ok(!createMatcher('^fail$', { regex: true, caseSensitive: true })('FAIL'));
+  assert.throws(() => createMatcher('(', { regex: true }), SyntaxError);
+});
+
+test('searchLines returns hits with their context', () => {
+  const lines = ['one', 'two', 'error here', 'four', 'five', 'error again']
+    .map((text, index) => ({ text, timestamp: (index + 1) * 100 }));
+
+  const hits = searchLines(lines, createMatcher('error'), { context: 1 });
+
+  assert.deepStrictEqual(hits, [
+    { line: 3, timestamp: 300, text: 'error here', before: ['two'], after: ['four'] },
+    { line: 6, timestamp: 600, text: 'error again', before: ['five'], after: [] }
+  ]);
+});
+
+test('searchLines applies since, limit and the context bounds', () => {
+  const lines = Array.from({ length: 30 }, (_, index) => ({ text: `line ${index}`, timestamp: index + 1 }));
+  const matcher = createMatcher('line');
+
+  assert.deepStrictEqual(searchLines(lines, matcher, { since: 26 }).map(hit => hit.line), [26, 27, 28, 29, 30]);
+  assert.strictEqual(searchLines(lines, matcher, { limit: 3 }).length, 3);
+
+  const [hit] = searchLines(lines, createMatcher('line 15'), { context: 50 });
+  assert.strictEqual(hit.before.length, MAX_CONTEXT);
+  assert.strictEqual(hit.after.length, MAX_CONTEXT);
+  assert.deepStrictEqual(searchLines(lines, createMatcher('line 15'), { context: -3 })[0].before, []);
+});
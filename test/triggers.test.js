@@ -0,0 +1,91 @@
+// Output triggers end to end: a matching line fires the rule, and its webhook
+// action reaches an HTTP server with the event as JSON
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { TriggerEngine, validateTrigger, describeTrigger, postWebhook } = require('../triggers');
+
+// A server on a free port that resolves with the first request it receives
+function startReceiver() {
+  return new Promise(resolve => {
+    let onRequest;
+    const received = new Promise(done => { onRequest = done; });
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => {
+        res.statusCode = 204;
+        res.end();
+        onRequest({ method: req.method, url: req.url, headers: req.headers, body });
+      });
+    });
+    server.listen(0, '127.0.0.1', () => resolve({ server, received, port: server.address().port }));
+  });
+}
+
+test('a matching line posts the event to the webhook', async () => {
+  const { server, received, port } = await startReceiver();
+  try {
+    const results = [];
+    const engine = new TriggerEngine({
+      rules: [{
+        name: 'build failed',
+        pattern: 'error: (\\w+)',
+        actions: [{ type: 'webhook', url: `http://127.0.0.1:${port}/hook`, headers: { 'X-Token': 'secret' } }]
+      }],
+      fire: (sessionId, rule, match) => {
+        const event = { trigger: rule.name, sessionId, line: match.line, groups: match.groups };
+        rule.actions.forEach(action => results.push(postWebhook(action, event)));
+      }
+    });
+
+    engine.handleOutput('session-1', 'compiling\r\n\x1b[31merror: ENOENT\x1b[0m\r\n');
+
+    assert.strictEqual(results.length, 1);
+    assert.strictEqual(await results[0], 204);
+
+    const request = await received;
+    assert.strictEqual(request.method, 'POST');
+    assert.strictEqual(request.url, '/hook');
+    assert.strictEqual(request.headers['content-type'], 'application/json');
+    assert.strictEqual(request.headers['x-token'], 'secret');
+    assert.deepStrictEqual(JSON.parse(request.body), {
+      trigger: 'build failed',
+      sessionId: 'session-1',
+      line: 'error: ENOENT',
+      groups: ['ENOENT']
+    });
+  } finally {
+    server.close();
+  }
+});
+
+test('a rule fires once per cooldown', () => {
+  const fired = [];
+  const engine = new TriggerEngine({
+    rules: [{ pattern: 'done', cooldownSeconds: 60, actions: [{ type: 'notify' }] }],
+    fire: (sessionId, rule, match) => fired.push(match.line)
+  });
+
+  engine.handleOutput('session-1', 'done 1\ndone 2\n');
+  engine.handleOutput('session-2', 'done 3\n');
+
+  assert.deepStrictEqual(fired, ['done 1', 'done 3']);
+});
+
+test('webhook header values are masked when a rule is shown', () => {
+  const rule = validateTrigger({
+    pattern: 'deployed',
+    actions: [
+      { type: 'webhook', url: 'https://example.com/hook', headers: { Authorization: 'Bearer secret' } },
+      { type: 'tag', tag: 'deployed' }
+    ]
+  });
+
+  const shown = describeTrigger(rule);
+
+  assert.deepStrictEqual(shown.actions[0].headers, { Authorization: '***' });
+  assert.deepStrictEqual(shown.actions[1], { type: 'tag', tag: 'deployed' });
+  assert.strictEqual(rule.actions[0].headers.Authorization, 'Bearer secret');
+});
@@ -0,0 +1,51 @@
+// The .gitignore subset the directory watcher understands
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseGitignore, isIgnored } = require('../watcher');
+
+const RULES = parseGitignore([
+  '# build output',
+  '',
+  'dist/',
+  '/coverage',
+  '*.log',
+  '!keep.log',
+  'docs/**/generated',
+  'tmp?',
+  '  cache  '
+].join('\n'));
+
+test('comments and blank lines are skipped', () => {
+  assert.strictEqual(RULES.length, 7);
+});
+
+test('names match at any depth, anchored patterns only at the root', () => {
+  assert.ok(isIgnored('app.log', false, RULES));
+  assert.ok(isIgnored('logs/server/app.log', false, RULES));
+  assert.ok(isIgnored('coverage', true, RULES));
+  assert.ok(!isIgnored('src/coverage', true, RULES));
+  assert.ok(isIgnored('tmp1', true, RULES));
+  assert.ok(!isIgnored('tmp12', true, RULES));
+  assert.ok(isIgnored('src/cache', true, RULES));
+});
+
+test('a trailing slash matches directories only', () => {
+  assert.ok(isIgnored('dist', true, RULES));
+  assert.ok(isIgnored('packages/a/dist', true, RULES));
+  assert.ok(!isIgnored('dist', false, RULES));
+});
+
+test('** spans directories and ! re-includes', () => {
+  assert.ok(isIgnored('docs/generated', true, RULES));
+  assert.ok(isIgnored('docs/api/v1/generated', true, RULES));
+  assert.ok(!isIgnored('src/generated', true, RULES));
+  assert.ok(!isIgnored('keep.log', false, RULES));
+  assert.ok(!isIgnored('src/keep.log', false, RULES));
+});
+
+test('special characters in names are literal', () => {
+  const rules = parseGitignore('a+b.(c)');
+  assert.ok(isIgnored('a+b.(c)', false, rules));
+  assert.ok(!isIgnored('aab_(c)', false, rules));
+});
@@ -0,0 +1,195 @@
+// Output triggers: regex rules run over each session's output as it arrives
+//
+// Output is ANSI-stripped and matched a line at a time, so a rule sees the
+// text a terminal would show. Rules come from the "triggers" section of the
+// config file (every session) or are added to one session through the API.
+// A rule fires at most once per cooldown per session; what happens then is
+// up to its actions, which the server carries out.
+
+const { stripAnsi, toLines, compileLinePattern } = require('./ansi');
+
+const ACTION_TYPES = ['webhook', 'notify', 'tag', 'macro'];
+const MAX_PENDING = 4096;          // A partial line longer than this is matched as is
+const WEBHOOK_TIMEOUT = 10000;
+
+// Checks a rule and returns a clean copy; throws with a message fit for a 400
+function validateTrigger(rule) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error('Trigger must be an object');
+  }
+  if (typeof rule.pattern !== 'string' || !rule.pattern) {
+    throw new Error('Trigger needs a pattern');
+  }
+  const flags = rule.flags === undefined ? 'i' : String(rule.flags);
+  try {
+    compileLinePattern(rule.pattern, flags);
+  } catch (err) {
+    throw new Error(err.message);
+  }
+
+  const actions = Array.isArray(rule.actions) ? rule.actions : [];
+  if (actions.length === 0) {
+    throw new Error('Trigger needs at least one action');
+  }
+
+  return {
+    id: rule.id ? String(rule.id) : undefined,
+    name: String(rule.name || rule.pattern).slice(0, 100),
+    pattern: rule.pattern,
+    flags,
+    cooldownSeconds: Number.isFinite(rule.cooldownSeconds) && rule.cooldownSeconds >= 0 ? rule.cooldownSeconds : 10,
+    actions: actions.map(validateAction)
+  };
+}
+
+function validateAction(action) {
+  if (!action || !ACTION_TYPES.includes(action.type)) {
+    throw new Error(`Action type must be one of ${ACTION_TYPES.join(', ')}`);
+  }
+
+  switch (action.type) {
+    case 'webhook': {
+      let url;
+      try {
+        url = new URL(action.url);
+      } catch {
+        throw new Error('Webhook action needs a valid url');
+      }
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new Error('Webhook url must be http or https');
+      }
+      const headers = action.headers && typeof action.headers === 'object' ? action.headers : {};
+      return { type: 'webhook', url: url.href, headers };
+    }
+    case 'notify':
+      return {
+        type: 'notify',
+        message: action.message ? String(action.message) : '{trigger}: {line}',
+        level: action.level === 'error' ? 'error' : 'info'
+      };
+    case 'tag':
+      if (typeof action.tag !== 'string' || !action.tag.trim()) {
+        throw new Error('Tag action needs a tag');
+      }
+      return { type: 'tag', tag: action.tag.trim().slice(0, 40) };
+    case 'macro':
+      if (typeof action.macro !== 'string' || !action.macro) {
+        throw new Error('Macro action needs a macro name');
+      }
+      return { type: 'macro', macro: action.macro };
+  }
+}
+
+// A rule as the API shows it: webhook header values (tokens, as a rule) are
+// replaced with "***"
+function describeTrigger(rule) {
+  return {
+    ...rule,
+    actions: rule.actions.map(action => action.type !== 'webhook' ? action : {
+      ...action,
+      headers: Object.fromEntries(Object.keys(action.headers).map(name => [name, '***']))
+    })
+  };
+}
+
+// Fill {line}, {trigger}, {project}, {session} and {1}, {2}... (match groups)
+function formatMessage(template, event) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, key) => {
+    if (/^\d+$/.test(key)) {
+      const group = event.groups[Number(key) - 1];
+      return group === undefined ? '' : group;
+    }
+    const values = { line: event.line, trigger: event.trigger, project: event.projectName, session: event.sessionId };
+    return values[key] === undefined ? placeholder : String(values[key]);
+  });
+}
+
+class TriggerEngine {
+  constructor({ rules = [], fire }) {
+    this.globalRules = [];
+    rules.forEach((rule, index) => {
+      try {
+        this.globalRules.push({ ...validateTrigger(rule), id: rule.id || `global-${index + 1}` });
+      } catch (err) {
+        console.error(`[Triggers] Ignoring trigger ${JSON.stringify(rule && (rule.name || rule.pattern))}: ${err.message}`);
+      }
+    });
+    this.fire = fire;
+
+    this.pending = new Map();      // sessionId -> text after the last newline
+    this.lastFired = new Map();    // `${sessionId}:${ruleId}` -> timestamp
+    this.compiled = new WeakMap(); // rule -> RegExp
+  }
+
+  // `sessionRules` are the session's own triggers, checked after the global ones
+  handleOutput(sessionId, data, sessionRules = []) {
+    const rules = this.globalRules.concat(sessionRules);
+    if (rules.length === 0) return;
+
+    const lines = toLines((this.pending.get(sessionId) || '') + stripAnsi(data));
+    let rest = lines.pop();
+    if (rest.length > MAX_PENDING) {
+      lines.push(rest);
+      rest = '';
+    }
+    this.pending.set(sessionId, rest);
+
+    lines.forEach(line => {
+      if (line.trim()) {
+        this.check(sessionId, line, rules);
+      }
+    });
+  }
+
+  check(sessionId, line, rules) {
+    rules.forEach(rule => {
+      const match = this.regexFor(rule).exec(line);
+      if (!match) return;
+
+      const key = `${sessionId}:${rule.id}`;
+      const now = Date.now();
+      if (now - (this.lastFired.get(key) || 0) < rule.cooldownSeconds * 1000) return;
+      this.lastFired.set(key, now);
+
+      this.fire(sessionId, rule, { line, groups: match.slice(1), timestamp: now });
+    });
+  }
+
+  regexFor(rule) {
+    let regex = this.compiled.get(rule);
+    if (!regex) {
+      regex = compileLinePattern(rule.pattern, rule.flags);
+      this.compiled.set(rule, regex);
+    }
+    return regex;
+  }
+
+  close(sessionId) {
+    this.pending.delete(sessionId);
+    Array.from(this.lastFired.keys())
+      .filter(key => key.startsWith(`${sessionId}:`))
+      .forEach(key => this.lastFired.delete(key));
+  }
+}
+
+// POST the event as JSON; resolves with the response status
+async function postWebhook(action, event) {
+  const response = await fetch(action.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...action.headers },
+    body: JSON.stringify(event),
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return response.status;
+}
+
+module.exports = {
+  TriggerEngine,
+  validateTrigger,
+  describeTrigger,
+  formatMessage,
+  postWebhook
+};
@@ -0,0 +1,250 @@
+// Watches a project directory so the web UI's file tree, file viewer and git
+// panel can update as soon as something changes
+//
+// fs.watch's recursive mode would also watch node_modules and everything else
+// .gitignore excludes (and is not available on every platform), so each
+// directory gets its own watcher and ignored directories are never entered.
+// The directory may be anywhere inside a repository: .gitignore and .git are
+// looked up at the top of it. Events are collected for a moment and reported
+// together:
+//   onChange({ files, treeChanged, gitChanged })
+
+const fs = require('fs');
+const path = require('path');
+const { runGit } = require('./git');
+
+const DEBOUNCE_MS = 200;
+const MAX_DIRECTORIES = 2000;
+const ALWAYS_IGNORED = ['.git', 'node_modules'];
+// Files in .git whose changes can change `git status`
+const GIT_STATE_FILES = ['index', 'HEAD'];
+
+// The common subset of .gitignore: * ? and ** globs, a leading / anchors to
+// the root, a trailing / matches directories only, ! re-includes. Only the
+// repository's top-level .gitignore is read.
+function parseGitignore(text) {
+  return text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      const negate = line.startsWith('!');
+      let pattern = negate ? line.slice(1) : line;
+      const directoryOnly = pattern.endsWith('/');
+      pattern = pattern.replace(/\/+$/, '');
+      const anchored = pattern.includes('/');
+      pattern = pattern.replace(/^\//, '');
+
+      const source = pattern
+        .split(/(\/\*\*\/|\*\*\/|\/\*\*|\*|\?)/)
+        .map(part => {
+          if (part === '/**/') return '/(?:.*/)?';
+          if (part === '**/') return '(?:.*/)?';
+          if (part === '/**') return '/.*';
+          if (part === '*') return '[^/]*';
+          if (part === '?') return '[^/]';
+          return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+      return {
+        regex: new RegExp(anchored ? `^${source}$` : `(?:^|/)${source}$`),
+        negate,
+        directoryOnly
+      };
+    });
+}
+
+// `relativePath` uses / separators; the last matching rule decides
+function isIgnored(relativePath, isDirectory, rules) {
+  let ignored = false;
+  rules.forEach(rule => {
+    if (rule.directoryOnly && !isDirectory) return;
+    if (rule.regex.test(relativePath)) {
+      ignored = !rule.negate;
+    }
+  });
+  return ignored;
+}
+
+class DirectoryWatcher {
+  constructor(root, { onChange }) {
+    this.root = root;
+    this.top = root;        // Top of the repository, or root outside one
+    this.gitDir = null;
+    this.onChange = onChange;
+    this.watchers = new Map(); // directory -> fs.FSWatcher
+    this.rules = [];
+    this.pending = { files: new Set(), treeChanged: false, gitChanged: false };
+    this.timer = null;
+    this.warned = false;
+    this.closed = false;
+  }
+
+  // Resolves once every directory is watched
+  async start() {
+    await this.findRepository();
+    await this.loadRules();
+    if (this.closed) return;
+    this.watchGitDirectory();
+    await this.addDirectory(this.root);
+  }
+
+  async findRepository() {
+    try {
+      const [top, gitDir] = (await runGit(this.root, ['rev-parse', '--show-toplevel', '--absolute-git-dir']))
+        .split('\n');
+      this.top = path.resolve(top);
+      this.gitDir = path.resolve(gitDir);
+    } catch {
+      // Not in a git repository
+    }
+  }
+
+  async loadRules() {
+    try {
+      this.rules = parseGitignore(await fs.promises.readFile(path.join(this.top, '.gitignore'), 'utf8'));
+    } catch {
+      this.rules = [];
+    }
+  }
+
+  isIgnored(fullPath, isDirectory) {
+    const relative = path.relative(this.top, fullPath).split(path.sep).join('/');
+    if (!relative) return false;
+    if (relative.split('/').some(name => ALWAYS_IGNORED.includes(name))) return true;
+    return isIgnored(relative, isDirectory, this.rules);
+  }
+
+  async addDirectory(dir) {
+    if (this.closed || this.watchers.has(dir)) return;
+    if (this.watchers.size >= MAX_DIRECTORIES) {
+      if (!this.warned) {
+        this.warned = true;
+        console.error(`[Watcher] ${this.root} has more than ${MAX_DIRECTORIES} directories; not watching the rest`);
+      }
+      return;
+    }
+
+    let watcher;
+    try {
+      watcher = fs.watch(dir, (event, name) => this.handleEvent(dir, event, name));
+    } catch {
+      return; // Removed already, or not readable
+    }
+    watcher.on('error', () => this.removeDirectory(dir));
+    this.watchers.set(dir, watcher);
+
+    let entries = [];
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch {
+      // Unreadable directories are only watched themselves
+    }
+    const children = entries
+      .filter(entry => entry.isDirectory())
+      .map(entry => path.join(dir, entry.name))
+      .filter(child => !this.isIgnored(child, true));
+    for (const child of children) {
+      await this.addDirectory(child);
+    }
+  }
+
+  // Stop watching a directory and everything below it
+  removeDirectory(dir) {
+    Array.from(this.watchers.keys())
+      .filter(watched => watched === dir || watched.startsWith(dir + path.sep))
+      .forEach(watched => {
+        this.watchers.get(watched).close();
+        this.watchers.delete(watched);
+      });
+  }
+
+  // .git itself is not walked; only the files that change with `git add`,
+  // commits and checkouts are of interest
+  watchGitDirectory() {
+    const gitDir = this.gitDir;
+    if (!gitDir) return;
+    try {
+      const watcher = fs.watch(gitDir, (event, name) => {
+        if (GIT_STATE_FILES.includes(name)) {
+          this.pending.gitChanged = true;
+          this.schedule();
+        }
+      });
+      watcher.on('error', () => {});
+      this.watchers.set(gitDir, watcher);
+    } catch {
+      // Removed meanwhile
+    }
+  }
+
+  handleEvent(dir, event, name) {
+    if (!name) {
+      // The platform did not say what changed
+      this.pending.treeChanged = true;
+      this.schedule();
+      return;
+    }
+
+    // A watched directory being removed reports itself by name
+    if (!fs.existsSync(dir)) {
+      this.removeDirectory(dir);
+      this.pending.treeChanged = true;
+      this.schedule();
+      return;
+    }
+
+    const fullPath = path.join(dir, name);
+    let stats = null;
+    try {
+      stats = fs.statSync(fullPath);
+    } catch {
+      // Deleted or renamed away
+    }
+    const isDirectory = Boolean(stats && stats.isDirectory());
+    if (this.isIgnored(fullPath, isDirectory)) return;
+
+    if (fullPath === path.join(this.top, '.gitignore')) {
+      this.loadRules();
+    }
+
+    if (event === 'rename') {
+      this.pending.treeChanged = true;
+      if (isDirectory) {
+        this.addDirectory(fullPath);
+      } else if (!stats) {
+        this.removeDirectory(fullPath);
+      }
+    }
+    if (!isDirectory) {
+      this.pending.files.add(fullPath);
+    }
+    this.pending.gitChanged = true;
+    this.schedule();
+  }
+
+  schedule() {
+    if (this.timer) return;
+    this.timer = setTimeout(() => this.flush(), DEBOUNCE_MS);
+  }
+
+  flush() {
+    this.timer = null;
+    const { files, treeChanged, gitChanged } = this.pending;
+    this.pending = { files: new Set(), treeChanged: false, gitChanged: false };
+    this.onChange({ files: Array.from(files), treeChanged, gitChanged });
+  }
+
+  close() {
+    this.closed = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers.clear();
+  }
+}
+
+module.exports = {
+  DirectoryWatcher,
+  parseGitignore,
+  isIgnored
+};